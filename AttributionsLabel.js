@@ -0,0 +1,83 @@
+/**
+ * Displays the credits of a tileset, see getAttributions and onAttributionsChangedObservable of {@link OGC3DTile}.
+ * The credits are written in a DOM element, or in a Babylon GUI TextBlock which requires the babylon.gui library.
+ *
+ * @param {Object} properties - the properties for this label
+ * @param {OGC3DTile} properties.tileset - the root tile of the tileset to display the credits of
+ * @param {Object} [properties.element] - optional DOM element to write the credits in
+ * @param {Object} [properties.textBlock] - optional GUI TextBlock to write the credits in, when there is no element
+ * @param {Object} [properties.advancedTexture] - optional GUI texture to add a TextBlock to when none is given, a fullscreen UI is created when absent
+ * @param {string} [properties.separator='; '] - the text between two credits
+ */
+export class AttributionsLabel {
+    constructor(properties) {
+        const self = this;
+        this.tileset = properties.tileset;
+        this.separator = properties.separator !== undefined ? properties.separator : '; ';
+        this.element = properties.element;
+        if (!this.element) {
+            this.textBlock = properties.textBlock;
+            if (!this.textBlock) {
+                this.ownsTexture = !properties.advancedTexture;
+                this.advancedTexture = properties.advancedTexture
+                    ? properties.advancedTexture
+                    : BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI(
+                          'tilesetAttributions',
+                          true,
+                          this.tileset.scene
+                      );
+                this.textBlock = createTextBlock();
+                this.advancedTexture.addControl(this.textBlock);
+                // created by the label, disposed along
+                this.ownsTextBlock = true;
+            }
+        }
+
+        this.observer = this.tileset.onAttributionsChangedObservable.add((attributions) => {
+            self.refresh(attributions);
+        });
+        this.refresh(this.tileset.getAttributions());
+    }
+
+    /**
+     * @param {string[]} attributions - the credits to display, sorted
+     */
+    refresh(attributions) {
+        const text = attributions.join(this.separator);
+        if (this.element) {
+            this.element.textContent = text;
+        } else {
+            this.textBlock.text = text;
+            this.textBlock.isVisible = text.length > 0;
+        }
+    }
+
+    dispose() {
+        this.tileset.onAttributionsChangedObservable.remove(this.observer);
+        if (this.element) {
+            this.element.textContent = '';
+        } else if (this.ownsTextBlock) {
+            this.textBlock.dispose();
+            if (this.ownsTexture) {
+                this.advancedTexture.dispose();
+            }
+        } else {
+            this.textBlock.text = '';
+        }
+    }
+}
+
+function createTextBlock() {
+    const textBlock = new BABYLON.GUI.TextBlock('tilesetAttributionsText');
+    textBlock.resizeToFit = true;
+    textBlock.color = 'white';
+    textBlock.fontSize = 12;
+    textBlock.shadowColor = 'black';
+    textBlock.shadowBlur = 2;
+    textBlock.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    textBlock.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    textBlock.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    textBlock.left = '10px';
+    textBlock.top = '-10px';
+    return textBlock;
+}
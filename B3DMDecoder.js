@@ -0,0 +1,231 @@
+import { FeatureTable, BatchTable, readTables } from './FeatureTable.js';
+import { parseGLB, writeGLB, readAccessor, loadGLB, applyZupToYup } from './GLTFUtils.js';
+
+const B3DM_MAGIC = 0x6d643362; // "b3dm"
+const HEADER_LENGTH = 28;
+// see the legacy header checks below
+const LEGACY_HEADER_THRESHOLD = 570425344;
+// temporary node extras used to find the babylon nodes created for the glTF nodes
+const NODE_INDEX_EXTRA = '__b3dmNodeIndex';
+
+/**
+ * The vertex data kind under which the batch id of every vertex is stored on meshes decoded from b3dm.
+ * @type {string}
+ */
+export const BATCH_ID_KIND = 'batchId';
+
+/**
+ * Decodes Batched 3D Model tiles into asset containers.
+ *
+ * The embedded glb is loaded with the babylon glTF loader. The RTC_CENTER of the feature table, expressed in the z-up
+ * tileset frame, is converted to the y-up scene frame and applied to the root nodes of the container. The batch id of
+ * every vertex (the _BATCHID attribute) is stored as vertex data of kind {@link BATCH_ID_KIND}, use
+ * {@link getBatchId} to identify the feature of a picked face and container.batchTable to read its properties.
+ */
+export class B3DMDecoder {
+    /**
+     * @param {Object} scene - the scene the decoded containers belong to
+     */
+    constructor(scene) {
+        this.scene = scene;
+    }
+
+    /**
+     * @param {ArrayBuffer|Object} content - the b3dm data, or the result of {@link prepareB3DM} when it was prepared in a worker
+     * @param {function} [meshCallback] - called on every decoded mesh
+     * @param {boolean} [sceneZupToYup] - true if the content is z-up and must be rotated as a whole to y-up
+     * @param {boolean} [meshZupToYup] - true if the meshes are z-up in their own frame and must be rotated to y-up
+     * @returns {Promise<Object>} an asset container with featureTable and batchTable properties
+     */
+    parseB3DM(content, meshCallback, sceneZupToYup, meshZupToYup) {
+        const self = this;
+        const b3dm = content instanceof ArrayBuffer ? prepareB3DM(content) : content;
+
+        return loadGLB(b3dm.glb, self.scene, b3dm.asset).then((container) => {
+            if (b3dm.primitiveBatchIds) {
+                applyBatchIds(container, b3dm.nodes, b3dm.primitiveBatchIds);
+            }
+            applyZupToYup(container, sceneZupToYup, meshZupToYup);
+
+            const featureTable = new FeatureTable(b3dm.featureTableJSON, b3dm.featureTableBinary);
+            const rtcCenter = featureTable.getGlobalProperty('RTC_CENTER', 'FLOAT', 3);
+            if (rtcCenter) {
+                // z-up tileset frame to y-up scene frame
+                const offset = new BABYLON.Vector3(rtcCenter[0], rtcCenter[2], -rtcCenter[1]);
+                container.rootNodes.forEach((node) => node.position.addInPlace(offset));
+            }
+
+            container.featureTable = featureTable;
+            container.batchTable = b3dm.batchTableJSON
+                ? new BatchTable(b3dm.batchTableJSON, b3dm.batchTableBinary, b3dm.batchLength)
+                : undefined;
+
+            if (meshCallback) {
+                container.meshes.forEach((mesh) => {
+                    if (mesh.getTotalVertices() > 0) meshCallback(mesh);
+                });
+            }
+            return container;
+        });
+    }
+}
+
+/**
+ * Reads what doesn't require babylon: the header, the tables and the batch ids of the glTF primitives. Called in the
+ * workers of a {@link TileWorkerPool}, the result only holds json and typed arrays.
+ * @param {ArrayBuffer} arrayBuffer - the b3dm data
+ * @returns {Object} the tables json and binary bodies, the batch length, the glb to load, the glTF asset and, when the
+ * glTF has batch ids, its nodes and the batch ids of every primitive of every mesh
+ */
+export function prepareB3DM(arrayBuffer) {
+    const b3dm = parseB3DMHeader(arrayBuffer);
+    const gltf = parseGLB(b3dm.glb);
+
+    const primitiveBatchIds = readBatchIds(gltf.json, gltf.binary);
+    let glb = b3dm.glb;
+    if (primitiveBatchIds) {
+        tagNodes(gltf.json);
+        glb = writeGLB(gltf.json, gltf.binary);
+    }
+    return {
+        featureTableJSON: b3dm.featureTable.json,
+        featureTableBinary: b3dm.featureTable.binary,
+        batchTableJSON: b3dm.batchTable ? b3dm.batchTable.json : undefined,
+        batchTableBinary: b3dm.batchTable ? b3dm.batchTable.binary : undefined,
+        batchLength: b3dm.batchLength,
+        glb: glb,
+        asset: gltf.json.asset,
+        nodes: primitiveBatchIds ? gltf.json.nodes : undefined,
+        primitiveBatchIds: primitiveBatchIds,
+    };
+}
+
+/**
+ * Reads the header and tables of a b3dm, doesn't require babylon.
+ * @param {ArrayBuffer} arrayBuffer - the b3dm data
+ * @returns {{featureTable: FeatureTable, batchTable: BatchTable|undefined, batchLength: number, glb: Uint8Array}} the tables and the embedded glb
+ */
+export function parseB3DMHeader(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(0, true) !== B3DM_MAGIC) {
+        throw new Error('invalid b3dm, wrong magic');
+    }
+    const byteLength = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+    let headerLength = HEADER_LENGTH;
+    let featureTableJSONByteLength = view.getUint32(12, true);
+    let featureTableBinaryByteLength = view.getUint32(16, true);
+    let batchTableJSONByteLength = view.getUint32(20, true);
+    let batchTableBinaryByteLength = view.getUint32(24, true);
+    let batchLength;
+
+    // Legacy headers:
+    // #1: [batchLength] [batchTableByteLength]
+    // #2: [batchTableJsonByteLength] [batchTableBinaryByteLength] [batchLength]
+    // In those, the fields read as batch table lengths contain the start of the json (a quote) or the glb magic, which
+    // would amount to more than 570MB.
+    if (batchTableJSONByteLength >= LEGACY_HEADER_THRESHOLD) {
+        headerLength = 20;
+        batchLength = featureTableJSONByteLength;
+        batchTableJSONByteLength = featureTableBinaryByteLength;
+        batchTableBinaryByteLength = 0;
+        featureTableJSONByteLength = 0;
+        featureTableBinaryByteLength = 0;
+    } else if (batchTableBinaryByteLength >= LEGACY_HEADER_THRESHOLD) {
+        headerLength = 24;
+        batchLength = batchTableJSONByteLength;
+        batchTableJSONByteLength = featureTableJSONByteLength;
+        batchTableBinaryByteLength = featureTableBinaryByteLength;
+        featureTableJSONByteLength = 0;
+        featureTableBinaryByteLength = 0;
+    }
+
+    const tables = readTables(new Uint8Array(arrayBuffer, headerLength, byteLength - headerLength), [
+        featureTableJSONByteLength,
+        featureTableBinaryByteLength,
+        batchTableJSONByteLength,
+        batchTableBinaryByteLength,
+    ]);
+    const featureTable = new FeatureTable(tables.featureTableJSON, tables.featureTableBinary);
+    if (batchLength === undefined) {
+        batchLength = featureTable.getGlobalProperty('BATCH_LENGTH', 'UNSIGNED_INT', 1) || 0;
+    }
+    const batchTable = tables.batchTableJSON
+        ? new BatchTable(tables.batchTableJSON, tables.batchTableBinary, batchLength)
+        : undefined;
+
+    return {
+        featureTable: featureTable,
+        batchTable: batchTable,
+        batchLength: batchLength,
+        glb: new Uint8Array(
+            arrayBuffer,
+            headerLength + tables.byteLength,
+            byteLength - headerLength - tables.byteLength
+        ),
+    };
+}
+
+/**
+ * @param {Object} mesh - a mesh decoded from a b3dm
+ * @param {number} faceId - the index of a triangle of the mesh, as given by a pick
+ * @returns {number|undefined} the batch id of the feature the triangle belongs to
+ */
+export function getBatchId(mesh, faceId) {
+    const batchIds = mesh.getVerticesData(BATCH_ID_KIND);
+    if (!batchIds) return undefined;
+    // every vertex of a triangle belongs to the same feature
+    const indices = mesh.getIndices();
+    return batchIds[indices && indices.length > 0 ? indices[faceId * 3] : faceId * 3];
+}
+
+function readBatchIds(json, binary) {
+    let found = false;
+    const primitiveBatchIds = (json.meshes || []).map((mesh) =>
+        mesh.primitives.map((primitive) => {
+            const attributes = primitive.attributes || {};
+            // "BATCHID" in older tiles
+            const accessor = attributes._BATCHID !== undefined ? attributes._BATCHID : attributes.BATCHID;
+            if (accessor === undefined) return undefined;
+            const values = readAccessor(json, binary, accessor);
+            if (!values) return undefined;
+            found = true;
+            return Float32Array.from(values);
+        })
+    );
+    return found ? primitiveBatchIds : undefined;
+}
+
+function tagNodes(json) {
+    (json.nodes || []).forEach((node, index) => {
+        if (node.mesh === undefined) return;
+        if (node.extras !== undefined && (typeof node.extras !== 'object' || Array.isArray(node.extras))) return;
+        node.extras = { ...node.extras, [NODE_INDEX_EXTRA]: index };
+    });
+}
+
+function applyBatchIds(container, nodes, primitiveBatchIds) {
+    container.transformNodes.concat(container.meshes).forEach((babylonNode) => {
+        const extras = babylonNode.metadata && babylonNode.metadata.gltf && babylonNode.metadata.gltf.extras;
+        if (!extras || extras[NODE_INDEX_EXTRA] === undefined) return;
+        const node = nodes[extras[NODE_INDEX_EXTRA]];
+        delete extras[NODE_INDEX_EXTRA];
+        if (Object.keys(extras).length == 0) {
+            delete babylonNode.metadata.gltf.extras;
+        }
+
+        const batchIds = primitiveBatchIds[node.mesh];
+        if (!batchIds) return;
+        // a single primitive is loaded as the node itself, otherwise as children named after the primitive index
+        const children = batchIds.length > 1 ? babylonNode.getChildMeshes(true) : [];
+        batchIds.forEach((values, primitiveIndex) => {
+            if (!values) return;
+            const mesh =
+                batchIds.length == 1
+                    ? babylonNode
+                    : children.find((child) => child.name === `${babylonNode.name}_primitive${primitiveIndex}`);
+            // instances share the vertex data of their source mesh
+            if (!mesh || mesh instanceof BABYLON.InstancedMesh || mesh.getTotalVertices() !== values.length) return;
+            mesh.setVerticesData(BATCH_ID_KIND, values, false, 1);
+        });
+    });
+}
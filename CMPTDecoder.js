@@ -0,0 +1,191 @@
+import { prepareB3DM } from './B3DMDecoder.js';
+import { prepareI3DM } from './I3DMDecoder.js';
+import { preparePNTS } from './PNTSDecoder.js';
+
+const CMPT_MAGIC = 0x74706d63; // "cmpt"
+const HEADER_LENGTH = 16;
+const ASSET_CONTAINER_ARRAYS = [
+    'meshes',
+    'transformNodes',
+    'materials',
+    'multiMaterials',
+    'textures',
+    'geometries',
+    'skeletons',
+    'morphTargetManagers',
+    'animations',
+    'animationGroups',
+    'lights',
+    'cameras',
+];
+// reads the inner tiles that don't require babylon
+const PREPARE = {
+    b3dm: prepareB3DM,
+    i3dm: prepareI3DM,
+    pnts: preparePNTS,
+    cmpt: prepareCMPT,
+};
+
+/**
+ * Decodes Composite tiles. Every inner tile is given to the decoder of its format, inner composites are decoded
+ * recursively, and the resulting containers are merged into a single asset container with one root node so that the
+ * composite is shown, hidden, cached and disposed as one content.
+ *
+ * The inner containers, with their featureTable and batchTable, are available in container.contents.
+ */
+export class CMPTDecoder {
+    /**
+     * @param {Object} scene - the scene the decoded containers belong to
+     * @param {Object} decoders - the decoders of the inner tiles: { b3dm, i3dm, pnts }
+     */
+    constructor(scene, decoders) {
+        this.scene = scene;
+        this.decoders = decoders;
+    }
+
+    /**
+     * @param {ArrayBuffer|Object} content - the cmpt data, or the result of {@link prepareCMPT} when it was prepared in a worker
+     * @param {string} url - the url of the tile, used by inner i3dm that reference an external glTF
+     * @param {function} fetchBuffer - called with the url of an external glTF, must return a promise of an ArrayBuffer
+     * @param {function} [meshCallback] - called on every decoded mesh
+     * @param {function} [pointsCallback] - called on every decoded points mesh
+     * @param {boolean} [sceneZupToYup] - true if the glTF content is z-up rather than y-up
+     * @param {boolean} [meshZupToYup] - true if the meshes are z-up in their own frame and must be rotated to y-up
+     * @returns {Promise<Object>} an asset container with a contents property holding the containers of the inner tiles
+     */
+    parseCMPT(content, url, fetchBuffer, meshCallback, pointsCallback, sceneZupToYup, meshZupToYup) {
+        const self = this;
+        const tiles = (content instanceof ArrayBuffer ? prepareCMPT(content) : content).tiles;
+        // every inner tile is decoded even when one fails, so that the decoded ones can be disposed
+        return Promise.allSettled(
+            tiles.map((tile) =>
+                Promise.resolve().then(() => {
+                    switch (tile.magic) {
+                        case 'b3dm':
+                            return self.decoders.b3dm.parseB3DM(
+                                tile.content,
+                                meshCallback,
+                                sceneZupToYup,
+                                meshZupToYup
+                            );
+                        case 'i3dm':
+                            return self.decoders.i3dm.parseI3DM(
+                                tile.content,
+                                url,
+                                fetchBuffer,
+                                meshCallback,
+                                sceneZupToYup,
+                                meshZupToYup
+                            );
+                        case 'pnts':
+                            return self.decoders.pnts.parsePNTS(tile.content, pointsCallback);
+                        case 'cmpt':
+                            return self.parseCMPT(
+                                tile.content,
+                                url,
+                                fetchBuffer,
+                                meshCallback,
+                                pointsCallback,
+                                sceneZupToYup,
+                                meshZupToYup
+                            );
+                        default:
+                            console.error(`unsupported tile format "${tile.magic}" in composite ${url}`);
+                            return undefined;
+                    }
+                })
+            )
+        ).then((results) => {
+            const rejected = results.find((result) => result.status === 'rejected');
+            if (rejected) {
+                results.forEach((result) => {
+                    if (result.status === 'fulfilled' && result.value) result.value.dispose();
+                });
+                throw rejected.reason;
+            }
+            return self.merge(results.map((result) => result.value).filter((content) => !!content));
+        });
+    }
+
+    /**
+     * Moves the content of the given containers into a new one, their root nodes become children of its root node.
+     */
+    merge(contents) {
+        const container = new BABYLON.AssetContainer(this.scene);
+        const root = new BABYLON.TransformNode('composite', this.scene);
+        container.transformNodes.push(root);
+        container.rootNodes.push(root);
+        const copyrights = new Set();
+        contents.forEach((content) => {
+            content.rootNodes.forEach((node) => {
+                node.parent = root;
+            });
+            ASSET_CONTAINER_ARRAYS.forEach((name) => {
+                container[name].push(...content[name]);
+            });
+            if (content.asset && content.asset.copyright) {
+                content.asset.copyright.split(';').forEach((copyright) => copyrights.add(copyright));
+            }
+        });
+        container.removeAllFromScene();
+
+        container.contents = contents;
+        if (copyrights.size > 0) {
+            container.asset = { copyright: Array.from(copyrights).join(';') };
+        }
+        const pointsLength = contents.reduce((sum, content) => sum + (content.pointsLength || 0), 0);
+        if (pointsLength > 0) {
+            container.pointsLength = pointsLength;
+        }
+        return container;
+    }
+}
+
+/**
+ * Prepares every inner tile of a supported format, see {@link prepareB3DM}, {@link prepareI3DM} and
+ * {@link preparePNTS}. Called in the workers of a {@link TileWorkerPool}, the result only holds json and typed arrays.
+ * @param {ArrayBuffer} arrayBuffer - the cmpt data
+ * @returns {{tiles: {magic: string, content: Object}[]}} the format and prepared content of every inner tile, the content is undefined for unsupported formats
+ */
+export function prepareCMPT(arrayBuffer) {
+    return {
+        tiles: parseCMPTHeader(arrayBuffer).map((tile) => {
+            const prepare = PREPARE[tile.magic];
+            return { magic: tile.magic, content: prepare ? prepare(tile.data) : undefined };
+        }),
+    };
+}
+
+/**
+ * Splits a cmpt into its inner tiles, doesn't require babylon.
+ * @param {ArrayBuffer} arrayBuffer - the cmpt data
+ * @returns {{magic: string, data: ArrayBuffer}[]} the format and data of every inner tile
+ */
+export function parseCMPTHeader(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(0, true) !== CMPT_MAGIC) {
+        throw new Error('invalid cmpt, wrong magic');
+    }
+    const byteLength = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+    const tilesLength = view.getUint32(12, true);
+    const decoder = new TextDecoder();
+    const tiles = [];
+    let offset = HEADER_LENGTH;
+    for (let i = 0; i < tilesLength; i++) {
+        if (offset + 12 > byteLength) {
+            throw new Error('invalid cmpt, inner tiles exceed the composite length');
+        }
+        // every inner tile header starts with magic, version and byteLength
+        const tileByteLength = view.getUint32(offset + 8, true);
+        if (tileByteLength < 12 || offset + tileByteLength > byteLength) {
+            throw new Error('invalid cmpt, inner tiles exceed the composite length');
+        }
+        tiles.push({
+            magic: decoder.decode(new Uint8Array(arrayBuffer, offset, 4)),
+            // decoders expect the tile at the start of the buffer
+            data: arrayBuffer.slice(offset, offset + tileByteLength),
+        });
+        offset += tileByteLength;
+    }
+    return tiles;
+}
@@ -0,0 +1,160 @@
+import { OBB } from './OBB.js';
+import { Region } from './Region.js';
+
+const LEVEL_COLORS = ['#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231', '#911eb4', '#46f0f0', '#f032e6'];
+const SPHERE_SEGMENTS = 32;
+
+/**
+ * The debug display of a tile: the outline of its bounding volume, a colored overlay on its content and a label with
+ * its metric and geometric error. Created by {@link OGC3DTile} for tiles with visible content when debug display is
+ * enabled, the tile calls update after each of its own updates.
+ *
+ * The tile's debug options:
+ * - boundingVolumes: if true, the bounding volume is drawn as lines
+ * - colorMode: 'level', 'sse' or 'loadOrder', colors the content by level, by ratio of the metric to the geometric
+ *   error (red when the tile should be refined, green when it is detailed enough) or from the first (blue) to the
+ *   last (red) loaded tile. The lines use the same color.
+ * - labels: if true, the level, metric and geometric error are displayed next to the tile. Requires babylon.gui.
+ */
+export class DebugView {
+    static #red = new BABYLON.Color3(1, 0, 0);
+    static #green = new BABYLON.Color3(0, 1, 0);
+    static #blue = new BABYLON.Color3(0, 0, 1);
+    static #yellow = new BABYLON.Color3(1, 1, 0);
+
+    /**
+     * @param {OGC3DTile} tile - the tile to display
+     */
+    constructor(tile) {
+        this.tile = tile;
+        this.color = new BABYLON.Color3(1, 1, 0);
+        this.overlaidMeshes = [];
+
+        // lines and label are attached to a node at the center of the volume
+        this.anchor = new BABYLON.TransformNode('debug' + tile.name, tile.scene);
+    }
+
+    update() {
+        const tile = this.tile;
+        const debug = tile.debug;
+        this.updateColor(debug.colorMode);
+        // the volume moves with the tileset and is decoded again when the tileset is recentered
+        this.anchor.position.copyFrom(getCenter(tile.boundingVolume));
+        if (this.lines && this.boundingVolume !== tile.boundingVolume) {
+            this.lines.dispose();
+            this.lines = undefined;
+        }
+
+        if (debug.boundingVolumes) {
+            if (!this.lines) {
+                this.boundingVolume = tile.boundingVolume;
+                const lines = getOutline(tile.boundingVolume).map((line) =>
+                    line.map((point) => point.subtract(this.anchor.position))
+                );
+                this.lines = BABYLON.MeshBuilder.CreateLineSystem(
+                    'debugLines' + tile.name,
+                    { lines: lines },
+                    tile.scene
+                );
+                this.lines.isPickable = false;
+                this.lines.parent = this.anchor;
+            }
+            this.lines.color.copyFrom(this.color);
+        } else if (this.lines) {
+            this.lines.dispose();
+            this.lines = undefined;
+        }
+
+        if (debug.colorMode) {
+            if (this.overlaidMeshes.length == 0) {
+                this.overlaidMeshes = tile.meshContent.meshes.filter((mesh) => mesh.getTotalVertices() > 0);
+            }
+            this.overlaidMeshes.forEach((mesh) => {
+                mesh.renderOverlay = true;
+                mesh.overlayColor = this.color;
+                mesh.overlayAlpha = 0.6;
+            });
+        } else {
+            this.clearOverlay();
+        }
+
+        if (debug.labels && BABYLON.GUI) {
+            if (!this.label) {
+                this.label = new BABYLON.GUI.TextBlock('debugLabel' + tile.name);
+                this.label.resizeToFit = true;
+                this.label.fontSize = 12;
+                this.label.color = 'white';
+                this.label.outlineColor = 'black';
+                this.label.outlineWidth = 2;
+                tile.rootTile.getDebugTexture().addControl(this.label);
+                this.label.linkWithMesh(this.anchor);
+            }
+            const metric = tile.metric !== undefined ? tile.metric.toFixed(2) : '-';
+            this.label.text = `L${tile.level} metric ${metric} / geometric error ${tile.geometricError.toFixed(2)}`;
+        } else if (this.label) {
+            this.label.dispose();
+            this.label = undefined;
+        }
+    }
+
+    updateColor(colorMode) {
+        const tile = this.tile;
+        if (colorMode == 'level') {
+            this.color.copyFrom(BABYLON.Color3.FromHexString(LEVEL_COLORS[tile.level % LEVEL_COLORS.length]));
+        } else if (colorMode == 'sse') {
+            const ratio = tile.metric / (tile.geometricErrorMultiplier * tile.geometricError);
+            BABYLON.Color3.LerpToRef(DebugView.#red, DebugView.#green, clamp01(ratio), this.color);
+        } else if (colorMode == 'loadOrder') {
+            const ratio = tile.loadOrder / tile.rootTile.loadCount;
+            BABYLON.Color3.LerpToRef(DebugView.#blue, DebugView.#red, clamp01(ratio), this.color);
+        } else {
+            this.color.copyFrom(DebugView.#yellow);
+        }
+    }
+
+    clearOverlay() {
+        this.overlaidMeshes.forEach((mesh) => {
+            mesh.renderOverlay = false;
+        });
+        this.overlaidMeshes = [];
+    }
+
+    dispose() {
+        this.clearOverlay();
+        if (this.label) {
+            this.label.dispose();
+        }
+        // also disposes the lines
+        this.anchor.dispose();
+    }
+}
+
+function getCenter(boundingVolume) {
+    if (boundingVolume instanceof BABYLON.BoundingSphere) {
+        return boundingVolume.centerWorld;
+    }
+    return boundingVolume.center;
+}
+
+function getOutline(boundingVolume) {
+    if (boundingVolume instanceof OBB || boundingVolume instanceof Region) {
+        return boundingVolume.getOutline();
+    }
+    // sphere, one circle in each plane
+    const center = boundingVolume.centerWorld;
+    const radius = boundingVolume.radiusWorld;
+    const circles = [[], [], []];
+    for (let i = 0; i <= SPHERE_SEGMENTS; i++) {
+        const angle = (i / SPHERE_SEGMENTS) * 2 * Math.PI;
+        const cos = Math.cos(angle) * radius;
+        const sin = Math.sin(angle) * radius;
+        circles[0].push(center.add(new BABYLON.Vector3(cos, sin, 0)));
+        circles[1].push(center.add(new BABYLON.Vector3(0, cos, sin)));
+        circles[2].push(center.add(new BABYLON.Vector3(cos, 0, sin)));
+    }
+    return circles;
+}
+
+function clamp01(value) {
+    return isNaN(value) ? 0 : Math.min(1, Math.max(0, value));
+}
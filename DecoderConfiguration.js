@@ -0,0 +1,95 @@
+/**
+ * Configures the babylon decoders used by the glTF loader for compressed content so that they are loaded from local
+ * urls or from memory rather than from the babylon CDN. The babylon decoder configurations are global, the last
+ * configuration applies to every loader.
+ *
+ * Every url can also be given in memory as a Blob, an ArrayBuffer or a typed array, an object url is created for it.
+ *
+ * @param {Object} [options] - the decoder options, decoders that aren't given keep the babylon defaults
+ * @param {Object} [options.draco] - KHR_draco_mesh_compression: { wasmUrl, wasmBinaryUrl, fallbackUrl, wasmBinary, numWorkers }, wasmBinary being the decoder wasm in memory
+ * @param {Object} [options.ktx2] - KTX2 textures: the urls of babylon's KhronosTextureContainer2.URLConfig (jsDecoderModule, wasmUASTCToASTC, wasmUASTCToBC7, wasmUASTCToRGBA_UNORM, wasmUASTCToRGBA_SRGB, wasmUASTCToR8_UNORM, wasmUASTCToRG8_UNORM, jsMSCTranscoder, wasmMSCTranscoder, wasmZSTDDecoder) and decoderOptions, overrides of the transcoding target choice
+ * @param {Object} [options.basis] - basis textures: { jsModuleUrl, wasmModuleUrl }
+ * @param {Object} [options.meshopt] - EXT_meshopt_compression: { url } of the meshopt decoder
+ * @param {Object} [options.renderer] - the engine, its compressed texture support decides the KTX2 transcoding target
+ * @returns {Object|undefined} the compressed texture formats supported by the renderer, undefined without renderer
+ */
+export function configureDecoders(options = {}) {
+    if (options.draco) {
+        const draco = options.draco;
+        const configuration = {};
+        ['wasmUrl', 'wasmBinaryUrl', 'fallbackUrl'].forEach((name) => {
+            if (draco[name] !== undefined) configuration[name] = toURL(draco[name]);
+        });
+        if (draco.wasmBinary !== undefined) configuration.wasmBinary = toArrayBuffer(draco.wasmBinary);
+        if (draco.numWorkers !== undefined) configuration.numWorkers = draco.numWorkers;
+        BABYLON.DracoCompression.Configuration = {
+            decoder: { ...BABYLON.DracoCompression.Configuration.decoder, ...configuration },
+        };
+    }
+
+    if (options.ktx2) {
+        const urlConfig = BABYLON.KhronosTextureContainer2.URLConfig;
+        Object.keys(urlConfig).forEach((name) => {
+            if (options.ktx2[name] !== undefined) urlConfig[name] = toURL(options.ktx2[name]);
+        });
+    }
+
+    if (options.basis) {
+        if (options.basis.jsModuleUrl !== undefined) {
+            BABYLON.BasisToolsOptions.JSModuleURL = toURL(options.basis.jsModuleUrl);
+        }
+        if (options.basis.wasmModuleUrl !== undefined) {
+            BABYLON.BasisToolsOptions.WasmModuleURL = toURL(options.basis.wasmModuleUrl);
+        }
+    }
+
+    if (options.meshopt && options.meshopt.url !== undefined) {
+        BABYLON.MeshoptCompression.Configuration = { decoder: { url: toURL(options.meshopt.url) } };
+    }
+
+    let textureSupport;
+    if (options.renderer) {
+        textureSupport = detectTextureSupport(options.renderer);
+        const decoderOptions = BABYLON.KhronosTextureContainer2.DefaultDecoderOptions;
+        // UASTC transcodes well to ASTC and BC7 only, ETC1S to any format
+        decoderOptions.useRGBAIfASTCBC7NotAvailableWhenUASTC = !textureSupport.astc && !textureSupport.bc7;
+        decoderOptions.forceRGBA =
+            !textureSupport.astc &&
+            !textureSupport.bc7 &&
+            !textureSupport.s3tc &&
+            !textureSupport.etc2 &&
+            !textureSupport.etc1 &&
+            !textureSupport.pvrtc;
+    }
+    if (options.ktx2 && options.ktx2.decoderOptions) {
+        Object.assign(BABYLON.KhronosTextureContainer2.DefaultDecoderOptions, options.ktx2.decoderOptions);
+    }
+    return textureSupport;
+}
+
+/**
+ * @param {Object} renderer - the engine
+ * @returns {{astc: boolean, bc7: boolean, s3tc: boolean, etc2: boolean, etc1: boolean, pvrtc: boolean}} the compressed texture formats the renderer supports
+ */
+export function detectTextureSupport(renderer) {
+    const caps = renderer.getCaps();
+    return {
+        astc: !!caps.astc,
+        bc7: !!caps.bptc,
+        s3tc: !!caps.s3tc,
+        etc2: !!caps.etc2,
+        etc1: !!caps.etc1,
+        pvrtc: !!caps.pvrtc,
+    };
+}
+
+function toURL(value) {
+    if (value === null || typeof value === 'string') return value;
+    const blob = value instanceof Blob ? value : new Blob([value]);
+    return URL.createObjectURL(blob);
+}
+
+function toArrayBuffer(value) {
+    if (value instanceof ArrayBuffer) return value;
+    return value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+}
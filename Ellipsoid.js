@@ -0,0 +1,52 @@
+/**
+ * WGS84 ellipsoid conversions. They don't require babylon, so that content can be prepared in the workers of a
+ * {@link TileWorkerPool}.
+ */
+
+export const WGS84_A = 6378137.0;
+export const WGS84_E2 = 0.006694384442042;
+export const WGS84_B = WGS84_A * Math.sqrt(1 - WGS84_E2);
+
+/**
+ * Converts geodetic coordinates on the WGS84 ellipsoid to ECEF.
+ * @param {number} lon - longitude in radians
+ * @param {number} lat - latitude in radians
+ * @param {number} height - height above the ellipsoid in meters
+ * @param {Object} result - the vector to store the result in, anything with a set(x, y, z) method such as a BABYLON.Vector3
+ * @returns {Object} the result vector
+ */
+export function geodeticToCartesian(lon, lat, height, result) {
+    const sinLat = Math.sin(lat);
+    const cosLat = Math.cos(lat);
+    const N = WGS84_A / Math.sqrt(1.0 - WGS84_E2 * sinLat * sinLat);
+    return result.set(
+        (N + height) * cosLat * Math.cos(lon),
+        (N + height) * cosLat * Math.sin(lon),
+        ((1 - WGS84_E2) * N + height) * sinLat
+    );
+}
+
+/**
+ * Converts ECEF coordinates to geodetic coordinates on the WGS84 ellipsoid (Bowring's method).
+ * @returns {{lon: number, lat: number, height: number}} angles in radians and height in meters
+ */
+export function cartesianToGeodetic(x, y, z) {
+    const p = Math.sqrt(x * x + y * y);
+    const lon = Math.atan2(y, x);
+    if (p < 1e-9) {
+        // on the polar axis
+        return { lon: lon, lat: z >= 0 ? Math.PI * 0.5 : -Math.PI * 0.5, height: Math.abs(z) - WGS84_B };
+    }
+    const ep2 = (WGS84_A * WGS84_A - WGS84_B * WGS84_B) / (WGS84_B * WGS84_B);
+    const theta = Math.atan2(z * WGS84_A, p * WGS84_B);
+    const sinTheta = Math.sin(theta);
+    const cosTheta = Math.cos(theta);
+    const lat = Math.atan2(
+        z + ep2 * WGS84_B * sinTheta * sinTheta * sinTheta,
+        p - WGS84_E2 * WGS84_A * cosTheta * cosTheta * cosTheta
+    );
+    const sinLat = Math.sin(lat);
+    const N = WGS84_A / Math.sqrt(1.0 - WGS84_E2 * sinLat * sinLat);
+    // stable close to the poles, unlike p / cos(lat) - N
+    return { lon: lon, lat: lat, height: p * Math.cos(lat) + z * sinLat - (WGS84_A * WGS84_A) / N };
+}
@@ -0,0 +1,200 @@
+const COMPONENT_TYPES = {
+    BYTE: Int8Array,
+    UNSIGNED_BYTE: Uint8Array,
+    SHORT: Int16Array,
+    UNSIGNED_SHORT: Uint16Array,
+    INT: Int32Array,
+    UNSIGNED_INT: Uint32Array,
+    FLOAT: Float32Array,
+    DOUBLE: Float64Array,
+};
+const TYPE_SIZES = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+};
+
+/**
+ * The feature table of a b3dm, i3dm or pnts tile.
+ * A property is either stored in the json or references the binary body through a byteOffset.
+ */
+export class FeatureTable {
+    /**
+     * @param {Object} json - the feature table json
+     * @param {Uint8Array} binary - the feature table binary body
+     */
+    constructor(json, binary) {
+        this.json = json;
+        this.binary = binary;
+    }
+
+    /**
+     * Reads a property that applies to the whole tile such as RTC_CENTER or BATCH_LENGTH.
+     * @param {string} name - the semantic
+     * @param {string} componentType - the component type used when the property is in the binary body, e.g. 'FLOAT'
+     * @param {number} componentLength - the number of components, 1 for scalars
+     * @returns {number|number[]|TypedArray|undefined} the value or undefined if the table doesn't define it
+     */
+    getGlobalProperty(name, componentType, componentLength) {
+        const property = this.json[name];
+        if (property === undefined) return undefined;
+        if (property.byteOffset !== undefined) {
+            const values = readBinary(this.binary, property.byteOffset, componentType, componentLength);
+            return componentLength == 1 ? values[0] : values;
+        }
+        return property;
+    }
+
+    /**
+     * Reads a property defined per feature such as POSITION.
+     * @param {string} name - the semantic
+     * @param {string} componentType - the default component type, overridden by a componentType in the json
+     * @param {number} componentLength - the number of components per feature
+     * @param {number} featuresLength - the number of features
+     * @returns {TypedArray|number[]|undefined} the values of all features or undefined if the table doesn't define it
+     */
+    getProperty(name, componentType, componentLength, featuresLength) {
+        const property = this.json[name];
+        if (property === undefined) return undefined;
+        if (property.byteOffset !== undefined) {
+            return readBinary(
+                this.binary,
+                property.byteOffset,
+                property.componentType || componentType,
+                componentLength * featuresLength
+            );
+        }
+        return property;
+    }
+}
+
+/**
+ * The batch table of a tile, user defined properties per feature. Properties are either json arrays or binary
+ * references with a componentType and type.
+ */
+export class BatchTable {
+    /**
+     * @param {Object} json - the batch table json
+     * @param {Uint8Array} binary - the batch table binary body
+     * @param {number} batchLength - the number of features
+     */
+    constructor(json, binary, batchLength) {
+        this.json = json;
+        this.binary = binary;
+        this.batchLength = batchLength;
+        this.binaryProperties = {};
+    }
+
+    /**
+     * @returns {string[]} the names of the properties
+     */
+    getPropertyNames() {
+        return Object.keys(this.json).filter((name) => name != 'extensions' && name != 'extras');
+    }
+
+    /**
+     * @param {number} batchId - the id of the feature
+     * @param {string} name - the property name
+     * @returns {*} the value of the property for the feature, an array for vector types, undefined if there is none
+     */
+    getProperty(batchId, name) {
+        const property = this.json[name];
+        if (property === undefined || batchId < 0 || batchId >= this.batchLength) return undefined;
+        if (Array.isArray(property)) {
+            return property[batchId];
+        }
+        if (property.byteOffset !== undefined) {
+            let values = this.binaryProperties[name];
+            const componentLength = TYPE_SIZES[property.type];
+            if (!values) {
+                values = readBinary(
+                    this.binary,
+                    property.byteOffset,
+                    property.componentType,
+                    componentLength * this.batchLength
+                );
+                this.binaryProperties[name] = values;
+            }
+            if (componentLength == 1) {
+                return values[batchId];
+            }
+            return Array.from(values.subarray(batchId * componentLength, (batchId + 1) * componentLength));
+        }
+        return undefined;
+    }
+
+    /**
+     * @param {number} batchId - the id of the feature
+     * @returns {Object} all the properties of the feature
+     */
+    getProperties(batchId) {
+        const properties = {};
+        this.getPropertyNames().forEach((name) => {
+            properties[name] = this.getProperty(batchId, name);
+        });
+        return properties;
+    }
+}
+
+/**
+ * Splits the feature table and batch table sections that follow the header of a b3dm, i3dm or pnts tile.
+ * @param {Uint8Array} data - the tile content starting at the first table
+ * @param {number[]} byteLengths - feature table json, feature table binary, batch table json and batch table binary lengths
+ * @returns {{featureTableJSON: Object, featureTableBinary: Uint8Array, batchTableJSON: Object, batchTableBinary: Uint8Array, byteLength: number}} the tables and the total length they use
+ */
+export function readTables(data, byteLengths) {
+    const decoder = new TextDecoder();
+    let offset = 0;
+    const next = (length) => {
+        const section = data.subarray(offset, offset + length);
+        offset += length;
+        return section;
+    };
+    const parse = (section) => {
+        // the json may be padded with spaces or null characters
+        const text = decoder.decode(section).replace(/\0+$/, '').trim();
+        return text.length > 0 ? JSON.parse(text) : undefined;
+    };
+    const featureTableJSON = parse(next(byteLengths[0])) || {};
+    const featureTableBinary = next(byteLengths[1]);
+    const batchTableJSON = parse(next(byteLengths[2]));
+    const batchTableBinary = next(byteLengths[3]);
+    return {
+        featureTableJSON: featureTableJSON,
+        featureTableBinary: featureTableBinary,
+        batchTableJSON: batchTableJSON,
+        batchTableBinary: batchTableBinary,
+        byteLength: offset,
+    };
+}
+
+/**
+ * Decodes a unit vector oct-encoded on two components, as in NORMAL_UP_OCT32P or NORMAL_OCT16P.
+ * @param {number} x - the first component
+ * @param {number} y - the second component
+ * @param {number} rangeMax - the largest encoded value, 255 for 8 bit and 65535 for 16 bit components
+ * @returns {number[]} the normalized vector
+ */
+export function octDecode(x, y, rangeMax) {
+    x = (x / rangeMax) * 2 - 1;
+    y = (y / rangeMax) * 2 - 1;
+    const z = 1 - (Math.abs(x) + Math.abs(y));
+    if (z < 0) {
+        const oldX = x;
+        x = (1 - Math.abs(y)) * (oldX >= 0 ? 1 : -1);
+        y = (1 - Math.abs(oldX)) * (y >= 0 ? 1 : -1);
+    }
+    const length = Math.sqrt(x * x + y * y + z * z);
+    return [x / length, y / length, z / length];
+}
+
+function readBinary(binary, byteOffset, componentType, length) {
+    const ArrayType = COMPONENT_TYPES[componentType];
+    if (!ArrayType) {
+        throw new Error(`unsupported component type "${componentType}"`);
+    }
+    // copy, the offset in the tile is not necessarily aligned to the component size
+    const bytes = binary.slice(byteOffset, byteOffset + length * ArrayType.BYTES_PER_ELEMENT);
+    return new ArrayType(bytes.buffer);
+}
@@ -0,0 +1,230 @@
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+const COMPONENT_TYPES = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array,
+};
+const TYPE_SIZES = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16,
+};
+
+/**
+ * Splits a binary glTF into its json and binary chunk.
+ * @param {Uint8Array} glb - the glb data
+ * @returns {{json: Object, binary: Uint8Array|undefined}} the parsed json and the binary chunk if there is one
+ */
+export function parseGLB(glb) {
+    const view = new DataView(glb.buffer, glb.byteOffset, glb.byteLength);
+    if (view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('invalid glb, wrong magic');
+    }
+    const length = Math.min(view.getUint32(8, true), glb.byteLength);
+    let json;
+    let binary;
+    let offset = 12;
+    while (offset + 8 <= length) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const chunk = glb.subarray(offset + 8, offset + 8 + chunkLength);
+        if (chunkType === CHUNK_JSON) {
+            json = JSON.parse(new TextDecoder().decode(chunk));
+        } else if (chunkType === CHUNK_BIN && !binary) {
+            binary = chunk;
+        }
+        offset += 8 + chunkLength;
+    }
+    if (!json) {
+        throw new Error('invalid glb, missing json chunk');
+    }
+    return { json: json, binary: binary };
+}
+
+/**
+ * Assembles a binary glTF.
+ * @param {Object} json - the glTF json
+ * @param {Uint8Array} [binary] - the binary chunk
+ * @returns {Uint8Array} the glb data
+ */
+export function writeGLB(json, binary) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    // chunks are 4 byte aligned, the json is padded with spaces and the binary with zeros
+    const jsonLength = align4(jsonBytes.length);
+    const binaryLength = binary ? align4(binary.length) : 0;
+    const length = 12 + 8 + jsonLength + (binary ? 8 + binaryLength : 0);
+
+    const glb = new Uint8Array(length);
+    const view = new DataView(glb.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, length, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, CHUNK_JSON, true);
+    glb.set(jsonBytes, 20);
+    glb.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+    if (binary) {
+        const offset = 20 + jsonLength;
+        view.setUint32(offset, binaryLength, true);
+        view.setUint32(offset + 4, CHUNK_BIN, true);
+        glb.set(binary, offset + 8);
+    }
+    return glb;
+}
+
+/**
+ * Reads the data of an accessor stored in the binary chunk of a glb. Sparse accessors are not supported.
+ * @param {Object} json - the glTF json
+ * @param {Uint8Array} binary - the binary chunk
+ * @param {number} accessorIndex - the index of the accessor
+ * @returns {TypedArray|undefined} the tightly packed values, undefined when the data isn't in the binary chunk (e.g. draco compressed)
+ */
+export function readAccessor(json, binary, accessorIndex) {
+    const accessor = json.accessors && json.accessors[accessorIndex];
+    if (!accessor || accessor.bufferView === undefined || !binary) return undefined;
+    const bufferView = json.bufferViews[accessor.bufferView];
+    if (bufferView.buffer !== 0) return undefined;
+
+    const ArrayType = COMPONENT_TYPES[accessor.componentType];
+    const componentLength = TYPE_SIZES[accessor.type];
+    const elementSize = ArrayType.BYTES_PER_ELEMENT * componentLength;
+    const stride = bufferView.byteStride || elementSize;
+    const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    const view = new DataView(binary.buffer, binary.byteOffset + start, stride * (accessor.count - 1) + elementSize);
+    const values = new ArrayType(accessor.count * componentLength);
+    // copy element by element, the data can be interleaved or not aligned
+    const bytes = new Uint8Array(values.buffer);
+    for (let i = 0; i < accessor.count; i++) {
+        for (let b = 0; b < elementSize; b++) {
+            bytes[i * elementSize + b] = view.getUint8(i * stride + b);
+        }
+    }
+    return values;
+}
+
+/**
+ * Loads a glb, or a json glTF with embedded resources, into an asset container that isn't added to the scene.
+ * The glTF "asset" (copyright, generator...) is made available as container.asset.
+ * @param {Uint8Array} glb - the glb data
+ * @param {Object} scene - the scene the container belongs to
+ * @param {Object} [asset] - the asset of the glTF json when it was already parsed
+ * @param {Object} [gltfOptions] - options of the babylon glTF loader, e.g. { createInstances: false }
+ * @param {string} [url] - the url of the glTF, the relative uris of its buffers and images are resolved against it
+ * rather than against the blob url the glTF is loaded from
+ * @returns {Promise<Object>} the asset container
+ */
+export function loadGLB(glb, scene, asset, gltfOptions, url) {
+    if (!asset) {
+        asset = readAsset(glb);
+    }
+    if (url) {
+        glb = resolveURIs(glb, url);
+    }
+    const assetUrl = URL.createObjectURL(new Blob([glb]));
+    const options = { pluginExtension: '.glb' };
+    if (gltfOptions) {
+        options.pluginOptions = { gltf: gltfOptions };
+    }
+    return BABYLON.LoadAssetContainerAsync(assetUrl, scene, options)
+        .then((container) => {
+            container.asset = asset;
+            return container;
+        })
+        .finally(() => {
+            URL.revokeObjectURL(assetUrl);
+        });
+}
+
+/**
+ * Applies the z-up to y-up conversion, (x, y, z) -> (x, z, -y), to content authored z-up.
+ * @param {Object} container - the asset container
+ * @param {boolean} sceneZupToYup - rotate the root nodes of the container
+ * @param {boolean} meshZupToYup - rotate the geometry of every mesh in its own frame
+ */
+export function applyZupToYup(container, sceneZupToYup, meshZupToYup) {
+    if (sceneZupToYup) {
+        const rotation = BABYLON.Quaternion.RotationAxis(BABYLON.Axis.X, -Math.PI * 0.5);
+        container.rootNodes.forEach((node) => {
+            if (!node.rotationQuaternion) {
+                node.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(node.rotation);
+            }
+            node.rotationQuaternion = rotation.multiply(node.rotationQuaternion);
+            node.position.rotateByQuaternionToRef(rotation, node.position);
+        });
+    }
+    if (meshZupToYup) {
+        const matrix = BABYLON.Matrix.RotationX(-Math.PI * 0.5);
+        const geometries = new Set();
+        container.meshes.forEach((mesh) => {
+            // instances share the geometry of their source mesh
+            if (mesh instanceof BABYLON.InstancedMesh || !mesh.geometry || geometries.has(mesh.geometry)) return;
+            geometries.add(mesh.geometry);
+            mesh.bakeTransformIntoVertices(matrix);
+        });
+    }
+}
+
+function readAsset(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (data.byteLength >= 4 && view.getUint32(0, true) === GLB_MAGIC) {
+        return parseGLB(data).json.asset;
+    }
+    try {
+        return JSON.parse(new TextDecoder().decode(data)).asset;
+    } catch (e) {
+        // let the loader report the invalid content
+        return undefined;
+    }
+}
+
+/**
+ * @param {Uint8Array} data - a glb or a json glTF
+ * @param {string} url - the url of the glTF
+ * @returns {Uint8Array} the glTF with the relative uris of its buffers and images made absolute, data when there is none
+ */
+function resolveURIs(data, url) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const isGLB = data.byteLength >= 4 && view.getUint32(0, true) === GLB_MAGIC;
+    let gltf;
+    try {
+        gltf = isGLB ? parseGLB(data) : { json: JSON.parse(new TextDecoder().decode(data)) };
+    } catch (e) {
+        // let the loader report the invalid content
+        return data;
+    }
+    let resolved = false;
+    [gltf.json.buffers, gltf.json.images].forEach((items) => {
+        if (!items) return;
+        items.forEach((item) => {
+            // data uris and absolute urls have a scheme
+            if (item.uri && !/^[a-z][a-z0-9+.-]*:/i.test(item.uri)) {
+                item.uri = resolveURL(item.uri, url);
+                resolved = true;
+            }
+        });
+    });
+    if (!resolved) return data;
+    return isGLB ? writeGLB(gltf.json, gltf.binary) : new TextEncoder().encode(JSON.stringify(gltf.json));
+}
+
+/**
+ * @param {string} uri - a uri, relative or absolute
+ * @param {string} base - the url the uri is relative to, itself relative to the page when there is one
+ * @returns {string} the absolute url
+ */
+export function resolveURL(uri, base) {
+    return new URL(uri, new URL(base, typeof location !== 'undefined' ? location.href : undefined)).toString();
+}
+
+function align4(value) {
+    return (value + 3) & ~3;
+}
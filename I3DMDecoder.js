@@ -0,0 +1,284 @@
+import { FeatureTable, BatchTable, readTables, octDecode } from './FeatureTable.js';
+import { loadGLB, applyZupToYup, resolveURL } from './GLTFUtils.js';
+import { cartesianToGeodetic } from './Ellipsoid.js';
+import { BATCH_ID_KIND } from './B3DMDecoder.js';
+
+const I3DM_MAGIC = 0x6d643369; // "i3dm"
+const HEADER_LENGTH = 32;
+const GLTF_FORMAT_URI = 0;
+// (x, y, z) -> (x, z, -y) and back, in babylon's row vector layout
+const Z_UP_TO_Y_UP = [1, 0, 0, 0, 0, 0, -1, 0, 0, 1, 0, 0, 0, 0, 0, 1];
+const Y_UP_TO_Z_UP = [1, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1];
+
+/**
+ * Decodes Instanced 3D Model tiles into asset containers where every mesh of the glTF is drawn once per instance
+ * with thin instances.
+ *
+ * Instance transforms are read from the feature table (POSITION or POSITION_QUANTIZED, NORMAL_UP/NORMAL_RIGHT or their
+ * oct-encoded versions, EAST_NORTH_UP, SCALE or SCALE_NON_UNIFORM, RTC_CENTER) in the z-up tileset frame and
+ * converted to the y-up scene frame. The batch id of every instance is kept in container.batchIds, indexed by the
+ * thinInstanceIndex of a pick, and as thin instance data of kind {@link BATCH_ID_KIND}. container.batchTable holds the
+ * per instance properties.
+ */
+export class I3DMDecoder {
+    /**
+     * @param {Object} scene - the scene the decoded containers belong to
+     */
+    constructor(scene) {
+        this.scene = scene;
+    }
+
+    /**
+     * @param {ArrayBuffer|Object} content - the i3dm data, or the result of {@link prepareI3DM} when it was prepared in a worker
+     * @param {string} url - the url of the tile, an external glTF is resolved relative to it
+     * @param {function} fetchBuffer - called with the url of an external glTF, must return a promise of an ArrayBuffer
+     * @param {function} [meshCallback] - called on every decoded mesh
+     * @param {boolean} [sceneZupToYup] - true if the glTF is z-up rather than y-up
+     * @param {boolean} [meshZupToYup] - true if the meshes are z-up in their own frame and must be rotated to y-up
+     * @returns {Promise<Object>} an asset container with featureTable, batchTable and batchIds properties
+     */
+    parseI3DM(content, url, fetchBuffer, meshCallback, sceneZupToYup, meshZupToYup) {
+        const self = this;
+        const i3dm = content instanceof ArrayBuffer ? prepareI3DM(content) : content;
+        const instances = i3dm.instances;
+
+        // the uris of an external glTF are relative to it, those of an embedded one to the tile
+        const gltfURL = i3dm.gltfUri ? resolveURL(i3dm.gltfUri, url) : url;
+        const glbPromise = i3dm.gltfUri
+            ? fetchBuffer(gltfURL).then((buffer) => new Uint8Array(buffer))
+            : Promise.resolve(i3dm.glb);
+        return glbPromise
+            .then((glb) => {
+                // glTF instancing would create InstancedMesh, which can't hold thin instances
+                return loadGLB(glb, self.scene, undefined, { createInstances: false }, gltfURL);
+            })
+            .then((container) => {
+                applyZupToYup(container, false, meshZupToYup);
+
+                // the glTF is y-up, (x, y, z) -> (x, -z, y) brings it to the tileset frame
+                const contentToTileset = sceneZupToYup
+                    ? BABYLON.Matrix.Identity()
+                    : BABYLON.Matrix.FromArray(Y_UP_TO_Z_UP);
+                const zUpToYUp = BABYLON.Matrix.FromArray(Z_UP_TO_Y_UP);
+                const matrices = new Float32Array(instances.matrices.length);
+                const matrix = new BABYLON.Matrix();
+                for (let i = 0; i < instances.length; i++) {
+                    BABYLON.Matrix.FromArrayToRef(instances.matrices, i * 16, matrix);
+                    contentToTileset.multiplyToRef(matrix, matrix);
+                    matrix.multiplyToRef(zUpToYUp, matrix);
+                    matrix.copyToArray(matrices, i * 16);
+                }
+                applyThinInstances(container, matrices, instances.batchIds);
+                // the instances are relative to the origin, z-up tileset frame to y-up scene frame
+                const origin = instances.origin;
+                const offset = new BABYLON.Vector3(origin[0], origin[2], -origin[1]);
+                container.rootNodes.forEach((node) => node.position.addInPlace(offset));
+
+                container.featureTable = new FeatureTable(i3dm.featureTableJSON, i3dm.featureTableBinary);
+                container.batchTable = i3dm.batchTableJSON
+                    ? new BatchTable(i3dm.batchTableJSON, i3dm.batchTableBinary, instances.batchLength)
+                    : undefined;
+                container.batchIds = instances.batchIds;
+
+                if (meshCallback) {
+                    container.meshes.forEach((mesh) => {
+                        if (mesh.getTotalVertices() > 0) meshCallback(mesh);
+                    });
+                }
+                return container;
+            });
+    }
+}
+
+/**
+ * Reads the header, the tables and the instance transforms, which doesn't require babylon. Called in the workers of a
+ * {@link TileWorkerPool}, the result only holds json and typed arrays.
+ * @param {ArrayBuffer} arrayBuffer - the i3dm data
+ * @returns {Object} the tables json and binary bodies, the instances and either the embedded glb or the uri of the glTF
+ */
+export function prepareI3DM(arrayBuffer) {
+    const i3dm = parseI3DMHeader(arrayBuffer);
+    return {
+        featureTableJSON: i3dm.featureTable.json,
+        featureTableBinary: i3dm.featureTable.binary,
+        batchTableJSON: i3dm.batchTableJSON,
+        batchTableBinary: i3dm.batchTableBinary,
+        glb: i3dm.glb,
+        gltfUri: i3dm.gltfUri,
+        instances: readInstances(i3dm.featureTable),
+    };
+}
+
+/**
+ * Reads the header and tables of an i3dm, doesn't require babylon.
+ * @param {ArrayBuffer} arrayBuffer - the i3dm data
+ * @returns {{featureTable: FeatureTable, batchTableJSON: Object, batchTableBinary: Uint8Array, glb: Uint8Array, gltfUri: string}} the tables and either the embedded glb or the uri of the glTF
+ */
+export function parseI3DMHeader(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(0, true) !== I3DM_MAGIC) {
+        throw new Error('invalid i3dm, wrong magic');
+    }
+    const byteLength = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+    const tables = readTables(new Uint8Array(arrayBuffer, HEADER_LENGTH, byteLength - HEADER_LENGTH), [
+        view.getUint32(12, true),
+        view.getUint32(16, true),
+        view.getUint32(20, true),
+        view.getUint32(24, true),
+    ]);
+    const gltfFormat = view.getUint32(28, true);
+    const gltf = new Uint8Array(
+        arrayBuffer,
+        HEADER_LENGTH + tables.byteLength,
+        byteLength - HEADER_LENGTH - tables.byteLength
+    );
+
+    const result = {
+        featureTable: new FeatureTable(tables.featureTableJSON, tables.featureTableBinary),
+        batchTableJSON: tables.batchTableJSON,
+        batchTableBinary: tables.batchTableBinary,
+    };
+    if (gltfFormat === GLTF_FORMAT_URI) {
+        // padded with spaces or null characters
+        result.gltfUri = new TextDecoder().decode(gltf).replace(/\0+$/, '').trim();
+    } else {
+        result.glb = gltf;
+    }
+    return result;
+}
+
+/**
+ * Computes the transform of every instance in the tileset frame. The translations are relative to the origin, the
+ * RTC_CENTER or else the position of the first instance, so that the float matrices keep the precision of ECEF positions.
+ * @param {FeatureTable} featureTable - the i3dm feature table
+ * @returns {{length: number, matrices: Float32Array, origin: number[], batchIds: Uint32Array, batchLength: number}} a matrix per instance, in babylon's row vector layout, the origin and the batch ids
+ */
+function readInstances(featureTable) {
+    const length = featureTable.getGlobalProperty('INSTANCES_LENGTH', 'UNSIGNED_INT', 1) || 0;
+    const rtcCenter = featureTable.getGlobalProperty('RTC_CENTER', 'FLOAT', 3);
+    let origin = rtcCenter ? Array.from(rtcCenter) : undefined;
+    const eastNorthUp = featureTable.getGlobalProperty('EAST_NORTH_UP');
+
+    const positions = featureTable.getProperty('POSITION', 'FLOAT', 3, length);
+    const quantizedPositions = featureTable.getProperty('POSITION_QUANTIZED', 'UNSIGNED_SHORT', 3, length);
+    const quantizedOffset = featureTable.getGlobalProperty('QUANTIZED_VOLUME_OFFSET', 'FLOAT', 3);
+    const quantizedScale = featureTable.getGlobalProperty('QUANTIZED_VOLUME_SCALE', 'FLOAT', 3);
+    if (!positions && !(quantizedPositions && quantizedOffset && quantizedScale)) {
+        throw new Error('invalid i3dm, POSITION or POSITION_QUANTIZED is required');
+    }
+    const normalsUp = featureTable.getProperty('NORMAL_UP', 'FLOAT', 3, length);
+    const normalsRight = featureTable.getProperty('NORMAL_RIGHT', 'FLOAT', 3, length);
+    const octNormalsUp = featureTable.getProperty('NORMAL_UP_OCT32P', 'UNSIGNED_SHORT', 2, length);
+    const octNormalsRight = featureTable.getProperty('NORMAL_RIGHT_OCT32P', 'UNSIGNED_SHORT', 2, length);
+    const scales = featureTable.getProperty('SCALE', 'FLOAT', 1, length);
+    const nonUniformScales = featureTable.getProperty('SCALE_NON_UNIFORM', 'FLOAT', 3, length);
+    let batchIds = featureTable.getProperty('BATCH_ID', 'UNSIGNED_SHORT', 1, length);
+
+    const matrices = new Float32Array(length * 16);
+    const position = [0, 0, 0];
+    let up;
+    let right;
+    let scale;
+    for (let i = 0; i < length; i++) {
+        if (positions) {
+            position[0] = positions[i * 3];
+            position[1] = positions[i * 3 + 1];
+            position[2] = positions[i * 3 + 2];
+        } else {
+            for (let c = 0; c < 3; c++) {
+                position[c] = quantizedOffset[c] + (quantizedPositions[i * 3 + c] / 65535) * quantizedScale[c];
+            }
+        }
+        if (rtcCenter) {
+            position[0] += rtcCenter[0];
+            position[1] += rtcCenter[1];
+            position[2] += rtcCenter[2];
+        }
+        if (!origin) origin = position.slice();
+
+        if (normalsUp && normalsRight) {
+            up = Array.from(normalsUp.slice(i * 3, i * 3 + 3));
+            right = Array.from(normalsRight.slice(i * 3, i * 3 + 3));
+        } else if (octNormalsUp && octNormalsRight) {
+            up = octDecode(octNormalsUp[i * 2], octNormalsUp[i * 2 + 1], 65535);
+            right = octDecode(octNormalsRight[i * 2], octNormalsRight[i * 2 + 1], 65535);
+        } else if (eastNorthUp) {
+            // the position is expected to be in ECEF, the instance is aligned with the local east and north
+            const geodetic = cartesianToGeodetic(position[0], position[1], position[2]);
+            right = [-Math.sin(geodetic.lon), Math.cos(geodetic.lon), 0];
+            up = [
+                -Math.sin(geodetic.lat) * Math.cos(geodetic.lon),
+                -Math.sin(geodetic.lat) * Math.sin(geodetic.lon),
+                Math.cos(geodetic.lat),
+            ];
+        } else {
+            right = [1, 0, 0];
+            up = [0, 1, 0];
+        }
+        const forward = cross(right, up);
+
+        if (nonUniformScales) {
+            scale = Array.from(nonUniformScales.slice(i * 3, i * 3 + 3));
+        } else {
+            const uniformScale = scales ? scales[i] : 1;
+            scale = [uniformScale, uniformScale, uniformScale];
+        }
+
+        // rows are the images of the x, y and z axes followed by the translation
+        const offset = i * 16;
+        matrices.set([right[0] * scale[0], right[1] * scale[0], right[2] * scale[0], 0], offset);
+        matrices.set([up[0] * scale[1], up[1] * scale[1], up[2] * scale[1], 0], offset + 4);
+        matrices.set([forward[0] * scale[2], forward[1] * scale[2], forward[2] * scale[2], 0], offset + 8);
+        matrices.set([position[0] - origin[0], position[1] - origin[1], position[2] - origin[2], 1], offset + 12);
+    }
+
+    let batchLength = length;
+    if (batchIds) {
+        batchIds = Uint32Array.from(batchIds);
+        batchLength = batchIds.reduce((max, id) => Math.max(max, id + 1), 0);
+    } else {
+        // without BATCH_ID, the batch table is indexed by instance
+        batchIds = new Uint32Array(length).map((value, index) => index);
+    }
+    return {
+        length: length,
+        matrices: matrices,
+        origin: origin || [0, 0, 0],
+        batchIds: batchIds,
+        batchLength: batchLength,
+    };
+}
+
+/**
+ * Draws every mesh of the container once per instance. The instance transforms are applied after the node hierarchy
+ * of the glTF, thin instance matrices are applied before the world matrix of the mesh so they are conjugated by it.
+ */
+function applyThinInstances(container, matrices, batchIds) {
+    container.rootNodes.forEach((root) => {
+        root.computeWorldMatrix(true);
+        // parents come before their children
+        root.getDescendants(false).forEach((node) => node.computeWorldMatrix(true));
+    });
+
+    const count = matrices.length / 16;
+    const instance = new BABYLON.Matrix();
+    container.meshes.forEach((mesh) => {
+        if (!mesh.getTotalVertices() || mesh instanceof BABYLON.InstancedMesh) return;
+        const world = mesh.getWorldMatrix();
+        const inverseWorld = BABYLON.Matrix.Invert(world);
+        const buffer = new Float32Array(matrices.length);
+        for (let i = 0; i < count; i++) {
+            BABYLON.Matrix.FromArrayToRef(matrices, i * 16, instance);
+            world.multiplyToRef(instance, instance);
+            instance.multiplyToRef(inverseWorld, instance);
+            instance.copyToArray(buffer, i * 16);
+        }
+        mesh.thinInstanceSetBuffer('matrix', buffer, 16, true);
+        mesh.thinInstanceSetBuffer(BATCH_ID_KIND, Float32Array.from(batchIds), 1, true);
+        mesh.thinInstanceRefreshBoundingInfo();
+    });
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
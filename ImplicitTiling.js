@@ -0,0 +1,290 @@
+import { resolveURL } from './GLTFUtils.js';
+
+const SUBTREE_MAGIC = 0x74627573; // "subt"
+const SUBTREE_HEADER_LENGTH = 24;
+
+/**
+ * Availability information of a subtree as described by the 3D Tiles 1.1 implicit tiling spec.
+ * Availability bits are addressed by index, see {@link getAvailabilityIndex}.
+ */
+export class Subtree {
+    /**
+     * @param {Object} tileAvailability - the decoded tile availability
+     * @param {Object[]} contentAvailability - the decoded availability of every content
+     * @param {Object} childSubtreeAvailability - the decoded child subtree availability
+     */
+    constructor(tileAvailability, contentAvailability, childSubtreeAvailability) {
+        this.tileAvailability = tileAvailability;
+        this.contentAvailability = contentAvailability;
+        this.childSubtreeAvailability = childSubtreeAvailability;
+    }
+
+    isTileAvailable(index) {
+        return isAvailable(this.tileAvailability, index);
+    }
+
+    isContentAvailable(index, contentIndex = 0) {
+        const availability = this.contentAvailability[contentIndex];
+        return !!availability && isAvailable(availability, index);
+    }
+
+    isChildSubtreeAvailable(index) {
+        return isAvailable(this.childSubtreeAvailability, index);
+    }
+
+    dispose() {
+        // plain data, nothing to release. Present so that subtrees can live in the tile cache.
+    }
+}
+
+/**
+ * Parses a binary (.subtree) or JSON subtree.
+ * @param {ArrayBuffer|Object} data - the content of a binary subtree file or a parsed JSON subtree
+ * @param {string} url - the url of the subtree, external buffers are resolved relative to it
+ * @param {function} fetchBuffer - called with the url of an external buffer, must return a promise of an ArrayBuffer
+ * @returns {Promise<Subtree>} the subtree
+ */
+export async function parseSubtree(data, url, fetchBuffer) {
+    let json = data;
+    let binary;
+    if (data instanceof ArrayBuffer) {
+        const view = new DataView(data);
+        if (view.getUint32(0, true) !== SUBTREE_MAGIC) {
+            throw new Error(`"${url}" is not a valid subtree file`);
+        }
+        const jsonByteLength = Number(view.getBigUint64(8, true));
+        const binaryByteLength = Number(view.getBigUint64(16, true));
+        json = JSON.parse(new TextDecoder().decode(new Uint8Array(data, SUBTREE_HEADER_LENGTH, jsonByteLength)));
+        binary = new Uint8Array(data, SUBTREE_HEADER_LENGTH + jsonByteLength, binaryByteLength);
+    }
+
+    const buffers = await Promise.all(
+        (json.buffers || []).map((buffer) => {
+            if (!buffer.uri) {
+                return binary;
+            }
+            return fetchBuffer(resolveURL(buffer.uri, url)).then((arrayBuffer) => new Uint8Array(arrayBuffer));
+        })
+    );
+    const bufferViews = (json.bufferViews || []).map((bufferView) => {
+        const buffer = buffers[bufferView.buffer];
+        return new Uint8Array(buffer.buffer, buffer.byteOffset + (bufferView.byteOffset || 0), bufferView.byteLength);
+    });
+
+    let contentAvailability = json.contentAvailability || [];
+    if (!Array.isArray(contentAvailability)) {
+        contentAvailability = [contentAvailability];
+    }
+    return new Subtree(
+        decodeAvailability(json.tileAvailability, bufferViews),
+        contentAvailability.map((availability) => decodeAvailability(availability, bufferViews)),
+        decodeAvailability(json.childSubtreeAvailability, bufferViews)
+    );
+}
+
+/**
+ * Reads the implicit tiling definition of a tile json, either 3D Tiles 1.1 "implicitTiling" or the 1.0
+ * "3DTILES_implicit_tiling" extension.
+ * @param {Object} json - the tile json
+ * @returns {Object|undefined} the implicit tiling or undefined if the tile is not the root of an implicit tree
+ */
+export function decodeImplicitTiling(json) {
+    const implicitTiling = json.implicitTiling || (json.extensions && json.extensions['3DTILES_implicit_tiling']);
+    if (!implicitTiling) return undefined;
+
+    const isOctree = implicitTiling.subdivisionScheme === 'OCTREE';
+    let contentUri;
+    if (json.content) {
+        contentUri = json.content.uri || json.content.url;
+    } else if (json.contents && json.contents.length > 0) {
+        contentUri = json.contents[0].uri;
+    }
+    return {
+        isOctree: isOctree,
+        branchingFactor: isOctree ? 8 : 4,
+        subtreeLevels: implicitTiling.subtreeLevels,
+        availableLevels:
+            implicitTiling.availableLevels !== undefined
+                ? implicitTiling.availableLevels
+                : implicitTiling.maximumLevel + 1,
+        subtreesUri: implicitTiling.subtrees.uri,
+        contentUri: contentUri,
+        boundingVolume: json.boundingVolume,
+        geometricError: json.geometricError,
+        refine: json.refine,
+    };
+}
+
+/**
+ * Computes the json of the available children of an implicit tile.
+ * @param {Object} implicitTile - the implicit tile description: tiling, level, x, y, z, the subtree containing the tile and the coordinates of the root of that subtree
+ * @returns {Object[]} the children json, each with their own implicitTile description
+ */
+export function getImplicitChildren(implicitTile) {
+    const tiling = implicitTile.tiling;
+    const subtree = implicitTile.subtree;
+    const subtreeRoot = implicitTile.subtreeRoot;
+    const children = [];
+    const level = implicitTile.level + 1;
+    if (level >= tiling.availableLevels) return children;
+
+    const localLevel = level - subtreeRoot.level;
+    for (let i = 0; i < tiling.branchingFactor; i++) {
+        const x = implicitTile.x * 2 + (i & 1);
+        const y = implicitTile.y * 2 + ((i >> 1) & 1);
+        const z = tiling.isOctree ? implicitTile.z * 2 + ((i >> 2) & 1) : 0;
+        const morton = mortonIndex(
+            x - (subtreeRoot.x << localLevel),
+            y - (subtreeRoot.y << localLevel),
+            z - (subtreeRoot.z << localLevel),
+            tiling.isOctree
+        );
+
+        const child = { tiling: tiling, level: level, x: x, y: y, z: z };
+        let hasContent = false;
+        if (localLevel < tiling.subtreeLevels) {
+            // the child is described by the same subtree
+            const index = getAvailabilityIndex(localLevel, morton, tiling.branchingFactor);
+            if (!subtree.isTileAvailable(index)) continue;
+            child.subtree = subtree;
+            child.subtreeRoot = subtreeRoot;
+            hasContent = subtree.isContentAvailable(index);
+        } else {
+            // the child is the root of a child subtree that still needs to be loaded
+            if (!subtree.isChildSubtreeAvailable(morton)) continue;
+            child.subtree = null;
+            child.subtreeRoot = { level: level, x: x, y: y, z: z };
+        }
+        children.push(createImplicitTileJSON(child, hasContent));
+    }
+    return children;
+}
+
+/**
+ * Creates the json of an implicit tile.
+ * @param {Object} implicitTile - the implicit tile description
+ * @param {boolean} hasContent - true if the content of the tile is available
+ * @returns {Object} a tile json
+ */
+export function createImplicitTileJSON(implicitTile, hasContent) {
+    const tiling = implicitTile.tiling;
+    const json = {
+        boundingVolume: subdivideBoundingVolume(tiling, implicitTile),
+        geometricError: tiling.geometricError / Math.pow(2, implicitTile.level),
+        refine: tiling.refine,
+        implicitTile: implicitTile,
+    };
+    if (hasContent) {
+        json.content = { uri: expandTemplate(tiling.contentUri, implicitTile) };
+    }
+    return json;
+}
+
+/**
+ * @param {string} template - a template uri with {level}, {x}, {y} and {z} placeholders
+ * @param {Object} coordinates - the level, x, y and z of the tile
+ * @returns {string} the expanded uri
+ */
+export function expandTemplate(template, coordinates) {
+    return template
+        .replace(/{level}/g, coordinates.level)
+        .replace(/{x}/g, coordinates.x)
+        .replace(/{y}/g, coordinates.y)
+        .replace(/{z}/g, coordinates.z);
+}
+
+/**
+ * @param {number} localLevel - the level relative to the root of the subtree
+ * @param {number} morton - the morton index of the tile within its level
+ * @param {number} branchingFactor - 4 for quadtrees, 8 for octrees
+ * @returns {number} the index of the tile in the tile and content availability bitstreams
+ */
+export function getAvailabilityIndex(localLevel, morton, branchingFactor) {
+    return (Math.pow(branchingFactor, localLevel) - 1) / (branchingFactor - 1) + morton;
+}
+
+/**
+ * Interleaves the bits of the coordinates, x being the least significant.
+ * Multiplications are used instead of shifts so that indices beyond 32 bits remain correct.
+ */
+export function mortonIndex(x, y, z, isOctree) {
+    const dimensions = isOctree ? 3 : 2;
+    let index = 0;
+    let bit = 1;
+    while (x > 0 || y > 0 || z > 0) {
+        index += (x & 1) * bit + (y & 1) * bit * 2;
+        if (isOctree) index += (z & 1) * bit * 4;
+        bit *= Math.pow(2, dimensions);
+        x >>>= 1;
+        y >>>= 1;
+        z >>>= 1;
+    }
+    return index;
+}
+
+function subdivideBoundingVolume(tiling, coordinates) {
+    const scale = Math.pow(2, coordinates.level);
+    if (tiling.boundingVolume.box) {
+        const box = tiling.boundingVolume.box;
+        // offsets of the child center along each axis in [-1, 1]
+        const offsets = [
+            (2 * coordinates.x + 1) / scale - 1,
+            (2 * coordinates.y + 1) / scale - 1,
+            tiling.isOctree ? (2 * coordinates.z + 1) / scale - 1 : 0,
+        ];
+        const halfAxisScales = [1 / scale, 1 / scale, tiling.isOctree ? 1 / scale : 1];
+        const result = box.slice(0, 3);
+        for (let axis = 0; axis < 3; axis++) {
+            for (let i = 0; i < 3; i++) {
+                result[i] += box[3 + axis * 3 + i] * offsets[axis];
+            }
+        }
+        for (let axis = 0; axis < 3; axis++) {
+            for (let i = 0; i < 3; i++) {
+                result.push(box[3 + axis * 3 + i] * halfAxisScales[axis]);
+            }
+        }
+        return { box: result };
+    } else if (tiling.boundingVolume.region) {
+        const region = tiling.boundingVolume.region;
+        const width = region[2] >= region[0] ? region[2] - region[0] : region[2] + 2 * Math.PI - region[0];
+        const height = region[3] - region[1];
+        const west = wrapLongitude(region[0] + (width * coordinates.x) / scale);
+        const east = wrapLongitude(region[0] + (width * (coordinates.x + 1)) / scale);
+        const south = region[1] + (height * coordinates.y) / scale;
+        const north = region[1] + (height * (coordinates.y + 1)) / scale;
+        let minHeight = region[4];
+        let maxHeight = region[5];
+        if (tiling.isOctree) {
+            const depth = maxHeight - minHeight;
+            minHeight = region[4] + (depth * coordinates.z) / scale;
+            maxHeight = region[4] + (depth * (coordinates.z + 1)) / scale;
+        }
+        return { region: [west, south, east, north, minHeight, maxHeight] };
+    }
+    throw new Error('implicit tiling only supports box and region bounding volumes');
+}
+
+function wrapLongitude(lon) {
+    return lon > Math.PI ? lon - 2 * Math.PI : lon;
+}
+
+function decodeAvailability(availability, bufferViews) {
+    if (!availability) {
+        return { constant: 0 };
+    }
+    if (availability.constant !== undefined) {
+        return { constant: availability.constant };
+    }
+    // "bitstream" in 3D Tiles 1.1, "bufferView" in the 1.0 extension
+    const bufferView = availability.bitstream !== undefined ? availability.bitstream : availability.bufferView;
+    return { bitstream: bufferViews[bufferView] };
+}
+
+function isAvailable(availability, index) {
+    if (availability.bitstream) {
+        const byte = availability.bitstream[Math.floor(index / 8)];
+        return ((byte >> index % 8) & 1) === 1;
+    }
+    return availability.constant === 1;
+}
@@ -0,0 +1,114 @@
+/**
+ * An oriented bounding box expressed in world space.
+ *
+ * The box is defined by its center and three half-axis vectors. The axes are not required to be orthogonal unit
+ * vectors scaled by the half size but in practice 3D Tiles boxes always are, which is what the distance computation
+ * assumes. Degenerate (zero length) axes are supported, flat tiles commonly have one.
+ */
+export class OBB {
+    static #tempVec = new BABYLON.Vector3(0, 0, 0);
+
+    /**
+     * @param {BABYLON.Vector3} center - the center of the box in world space
+     * @param {BABYLON.Vector3[]} halfAxes - the three half-axis vectors of the box in world space
+     */
+    constructor(center, halfAxes) {
+        this.center = center.clone();
+        this.halfAxes = halfAxes.map((axis) => axis.clone());
+        this.halfSizes = this.halfAxes.map((axis) => axis.length());
+        this.axes = this.halfAxes.map((axis) => axis.normalizeToNew());
+        this.radius = Math.sqrt(
+            this.halfSizes[0] * this.halfSizes[0] +
+                this.halfSizes[1] * this.halfSizes[1] +
+                this.halfSizes[2] * this.halfSizes[2]
+        );
+        // bounding sphere of the box, useful for coarse tests
+        this.sphere = BABYLON.BoundingSphere.CreateFromCenterAndRadius(this.center, this.radius);
+    }
+
+    /**
+     * Creates an OBB from the 12 values of a 3D Tiles "box" bounding volume.
+     * The values are expressed in the z-up tileset frame, they are converted to the y-up scene frame before being
+     * transformed by the given matrix.
+     * @param {number[]} values - center followed by the x, y and z half-axes
+     * @param {BABYLON.Matrix} matrix - the world matrix of the tile
+     * @returns {OBB} the box in world space
+     */
+    static FromBoxArray(values, matrix) {
+        const center = BABYLON.Vector3.TransformCoordinates(
+            new BABYLON.Vector3(values[0], values[2], -values[1]),
+            matrix
+        );
+        const halfAxes = [];
+        for (let i = 3; i < 12; i += 3) {
+            halfAxes.push(
+                BABYLON.Vector3.TransformNormal(new BABYLON.Vector3(values[i], values[i + 2], -values[i + 1]), matrix)
+            );
+        }
+        return new OBB(center, halfAxes);
+    }
+
+    /**
+     * Tests the box against frustum planes, the planes are expected to point inwards as returned by BABYLON.Frustum.GetPlanes.
+     * @param {BABYLON.Plane[]} frustumPlanes - the frustum planes
+     * @returns {boolean} true if the box intersects or is inside the frustum
+     */
+    isInFrustum(frustumPlanes) {
+        for (let i = 0; i < frustumPlanes.length; i++) {
+            const plane = frustumPlanes[i];
+            // projected radius of the box on the plane normal
+            const radius =
+                Math.abs(BABYLON.Vector3.Dot(plane.normal, this.halfAxes[0])) +
+                Math.abs(BABYLON.Vector3.Dot(plane.normal, this.halfAxes[1])) +
+                Math.abs(BABYLON.Vector3.Dot(plane.normal, this.halfAxes[2]));
+            if (plane.dotCoordinate(this.center) <= -radius) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @param {BABYLON.Vector3} point - a point in world space
+     * @returns {number} the distance between the point and the box, 0 if the point is inside the box
+     */
+    distanceToPoint(point) {
+        point.subtractToRef(this.center, OBB.#tempVec);
+        let distanceSquared = 0;
+        for (let i = 0; i < 3; i++) {
+            const excess = Math.abs(BABYLON.Vector3.Dot(OBB.#tempVec, this.axes[i])) - this.halfSizes[i];
+            if (excess > 0) {
+                distanceSquared += excess * excess;
+            }
+        }
+        return Math.sqrt(distanceSquared);
+    }
+
+    /**
+     * @returns {BABYLON.Vector3[][]} the 12 edges of the box in world space
+     */
+    getOutline() {
+        const corners = [];
+        for (let i = 0; i < 8; i++) {
+            const corner = this.center.clone();
+            for (let axis = 0; axis < 3; axis++) {
+                corner.addInPlace(this.halfAxes[axis].scale(i & (1 << axis) ? 1 : -1));
+            }
+            corners.push(corner);
+        }
+        const lines = [];
+        for (let i = 0; i < 8; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                // connect each corner to the corner on the positive side of every axis
+                if (!(i & (1 << axis))) {
+                    lines.push([corners[i], corners[i | (1 << axis)]]);
+                }
+            }
+        }
+        return lines;
+    }
+
+    toString() {
+        return `OBB{ center: ${this.center}, halfSizes: ${this.halfSizes.join(', ')} }`;
+    }
+}
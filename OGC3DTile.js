@@ -1,9 +1,14 @@
 import { TileLoader } from "./TileLoader.js";
+import { TileLoadError } from './TileLoadError.js';
+import { OBB } from './OBB.js';
+import { Region } from './Region.js';
+import { decodeImplicitTiling, getImplicitChildren, expandTemplate } from './ImplicitTiling.js';
+import { DebugView } from './DebugView.js';
+import { AttributionsLabel } from './AttributionsLabel.js';
 
-let averageTime = 0;
-let numTiles = 0;
-let copyrightDiv;
-const copyright = {};
+// the minimum time in milliseconds between two requests of the root of a Google tileset for new sessions, a tile that
+// is missing for another reason than an expired session doesn't make the whole tileset reload repeatedly
+const SESSION_RELOAD_INTERVAL = 10 * 60 * 1000;
 
 export class OGC3DTile extends BABYLON.TransformNode {
     static #tempSphere = new BABYLON.BoundingSphere(new BABYLON.Vector3(0, 0, 0), new BABYLON.Vector3(0, 1, 0));
@@ -11,16 +16,22 @@ export class OGC3DTile extends BABYLON.TransformNode {
     static #tempVec2 = new BABYLON.Vector3(0, 0, 0);
     static #upVector = new BABYLON.Vector3(0, 1, 0);
     static #rendererSize = new BABYLON.Vector2(1000, 1000);
-    static #tempQuaternion = new BABYLON.Quaternion();
+    // (x, y, z) -> (x, z, -y) and its inverse
+    static #zUpToYUp = BABYLON.Matrix.FromValues(1, 0, 0, 0, 0, 0, -1, 0, 0, 1, 0, 0, 0, 0, 0, 1);
+    static #yUpToZUp = BABYLON.Matrix.FromValues(1, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1);
 
     /**
      * @param {Object} [properties] - the properties for this tileset
      * @param {Object} [properties.renderer] - the renderer used to display the tileset
      * @param {Object} [properties.url] - the url to the parent tileset.json
-     * @param {Object} [properties.queryParams] - optional, path params to add to individual tile urls (starts with "?").
-     * @param {Object} [properties.geometricErrorMultiplier] - the geometric error of the parent. 1.0 by default corresponds to a maxScreenSpaceError of 16
+     * @param {Object} [properties.queryParams] - optional, path params to add to individual tile urls (starts with "?"), e.g. { key: apiKey }. An api key can also be sent in a header, see apiKeyInterceptor
+     * @param {Object} [properties.geometricErrorMultiplier] - a multiplier applied to the geometric error of every tile, higher values load more detail. 1.0 by default
+     * @param {Object} [properties.maximumScreenSpaceError] - the screen space error in pixels above which a tile is refined. 16 by default
+     * @param {Object} [properties.pixelRatio] - optional number or function returning the device pixel ratio, defaults to window.devicePixelRatio or 1 when there is no window
      * @param {Object} [properties.loadOutsideView] - if truthy, tiles otside the camera frustum will be loaded with the least possible amount of detail
      * @param {Object} [properties.tileLoader] - A tile loader that can be shared among tilesets in order to share a common cache.
+     * @param {Object} [properties.decoders] - optional { draco, ktx2, basis, meshopt } decoder options of the tile loader created when none is given, see {@link TileLoader}
+     * @param {Object} [properties.persistentCache] - optional, keeps downloaded content across sessions, a {@link PersistentCache} or its options, for the tile loader created when none is given
      * @param {Object} [properties.meshCallback] - A callback function that will be called on every mesh
      * @param {Object} [properties.pointsCallback] - A callback function that will be called on every points
      * @param {Object} [properties.onLoadCallback] - A callback function that will be called when the root tile has been loaded
@@ -32,11 +43,27 @@ export class OGC3DTile extends BABYLON.TransformNode {
      * @param {Object} [properties.parentGeometricError] - optional geometric error of the parent
      * @param {Object} [properties.parentBoundingVolume] - optional bounding volume of the parent
      * @param {Object} [properties.parentRefine] - optional refine strategy of the parent of the parent
-     * @param {Object} [properties.cameraOnLoad] - optional the camera used when loading this particular sub-tile
+     * @param {Object} [properties.cameraOnLoad] - optional the camera or array of cameras used when loading this particular sub-tile
      * @param {Object} [properties.parentTile] - optional the OGC3DTile object that loaded this tile as a child
+     * @param {Object} [properties.interceptors] - optional request interceptors of the tile loader created when none is given, to add headers, authorize or rewrite urls, see {@link RequestHandler}. The tileset json is requested through the interceptors of the tile loader
      * @param {Object} [properties.proxy] - optional the url to a proxy service. Instead of fetching tiles via a GET request, a POST will be sent to the proxy url with the real tile address in the body of the request.
-     * @param {Object} [properties.yUp] - optional value indicating the meshes are y up rather than z-up. This parameter is used only for box and sphere bounding volumes.
-     * @param {Object} [properties.displayErrors] - optional value indicating that errors should be shown on screen.
+     * @param {Object} [properties.yUp] - optional, set to false when the meshes are z-up rather than y-up as glTF specifies. This parameter is used only for box and sphere bounding volumes.
+     * @param {Object} [properties.google] - optional, true for Google Photorealistic 3D Tiles: the session of the url of every tileset json is sent with the requests of its subtree, the root is requested again for new sessions when a session expires, and key errors are reported with the 'apiKey' reason. See getAttributions for the credits to display
+     * @param {Object} [properties.displayAttributions] - optional, displays the credits of the tileset: true for a Babylon GUI label at the bottom left of the screen, or the DOM element or GUI TextBlock to write them in, see {@link AttributionsLabel}
+     * @param {Object} [properties.onError] - optional function called with a {@link TileLoadError} when the tileset json, a tile content or a subtree can't be loaded, after the retries of the tile loader. The tile is then an empty leaf. Errors are logged to the console without it
+     * @param {Object} [properties.pointCloud] - optional point size options: { pointSize, attenuation, geometricErrorScale, maximumAttenuation, baseResolution }, see updatePointCloud. Can be changed at runtime with setPointCloud
+     * @param {Object} [properties.autoUpdate] - optional, updates the tileset before every frame of the scene: true to view it from the active cameras of the scene, or the camera or cameras to view it from. Without it, update must be called
+     * @param {Object} [properties.debug] - optional debug display options: { boundingVolumes, colorMode, labels }, see {@link DebugView}. Can be changed at runtime with setDebug
+     *
+     * The observables below are shared by all the tiles of a tileset and are notified with
+     * { tile, level, url, geometricError }, plus the error for load errors:
+     * - onTileContentLoadedObservable: the content of a tile was loaded
+     * - onTileShownObservable / onTileHiddenObservable: the content of a tile was added to or removed from the scene
+     * - onTileDisposedObservable: a tile is being disposed
+     * - onTileLoadErrorObservable: the tileset json, a tile content or a subtree could not be loaded
+     * - onTilesetIdleObservable: everything the current views need has been loaded, notified for the root tile
+     * The onAttributionsChangedObservable of the root tile is notified with the result of getAttributions after the
+     * updates that changed the credits of the displayed tiles.
      */
     constructor(properties) {
         super();
@@ -44,8 +71,8 @@ export class OGC3DTile extends BABYLON.TransformNode {
 
         this.proxy = properties.proxy;
         this.yUp = properties.yUp;
-        this.displayErrors = properties.displayErrors;
-        this.displayCopyright = properties.displayCopyright;
+        this.debug = properties.debug;
+        this.pointCloud = properties.pointCloud;
         if (properties.queryParams) {
             this.queryParams = { ...properties.queryParams };
         }
@@ -67,23 +94,78 @@ export class OGC3DTile extends BABYLON.TransformNode {
                   }
                 : properties.pointsCallback;
             tileLoaderOptions.proxy = this.proxy;
+            tileLoaderOptions.interceptors = properties.interceptors;
             tileLoaderOptions.scene = properties.scene;
+            tileLoaderOptions.renderer = properties.renderer;
+            if (properties.decoders) {
+                Object.assign(tileLoaderOptions, properties.decoders);
+            }
+            tileLoaderOptions.persistentCache = properties.persistentCache;
             this.tileLoader = new TileLoader(tileLoaderOptions);
+            // disposed along with the tileset
+            this.ownsTileLoader = true;
         }
-        this.displayCopyright = properties.displayCopyright;
         // set properties general to the entire tileset
         this.geometricErrorMultiplier = properties.geometricErrorMultiplier
             ? properties.geometricErrorMultiplier
             : 1.0;
+        this.maximumScreenSpaceError = properties.maximumScreenSpaceError ? properties.maximumScreenSpaceError : 16;
+        this.pixelRatio = properties.pixelRatio !== undefined ? properties.pixelRatio : defaultPixelRatio;
 
         this.scene = properties.scene;
         this.renderer = properties.renderer;
         this.rootNode = properties.rootNode;
         this.meshCallback = properties.meshCallback;
         this.loadOutsideView = properties.loadOutsideView;
-        this.cameraOnLoad = properties.cameraOnLoad;
+        if (properties.cameraOnLoad) {
+            this.cameraOnLoad = Array.isArray(properties.cameraOnLoad)
+                ? properties.cameraOnLoad
+                : [properties.cameraOnLoad];
+        }
         this.parentTile = properties.parentTile;
         this.parent = properties.parentTile;
+        this.rootTile = properties.parentTile ? properties.parentTile.rootTile : this;
+        // the session of the subtree of a Google tileset, replaced by the session of a tileset json loaded by the tile
+        this.session = properties.parentTile ? properties.parentTile.session : undefined;
+        if (this.rootTile === this) {
+            this.onTileContentLoadedObservable = new BABYLON.Observable();
+            this.onTileShownObservable = new BABYLON.Observable();
+            this.onTileHiddenObservable = new BABYLON.Observable();
+            this.onTileDisposedObservable = new BABYLON.Observable();
+            this.onTileLoadErrorObservable = new BABYLON.Observable();
+            this.onTilesetIdleObservable = new BABYLON.Observable();
+            this.onAttributionsChangedObservable = new BABYLON.Observable();
+            // the number of displayed tiles by credit
+            this.attributions = new Map();
+            this.loadCount = 0; // number of tile contents loaded in the tileset, gives the load order of tiles
+            this.onError = properties.onError;
+            this.google = properties.google;
+            if (properties.displayAttributions) {
+                const target = properties.displayAttributions;
+                const isTextBlock = typeof BABYLON.GUI !== 'undefined' && target instanceof BABYLON.GUI.TextBlock;
+                this.attributionsLabel = new AttributionsLabel({
+                    tileset: this,
+                    element: target !== true && !isTextBlock ? target : undefined,
+                    textBlock: isTextBlock ? target : undefined,
+                });
+            }
+            if (properties.autoUpdate && this.scene) {
+                this.autoUpdate = properties.autoUpdate;
+                // before the tile loader, so that the requests of the update are served in the same frame
+                this.beforeRenderObserver = this.scene.onBeforeRenderObservable.add(
+                    () => self.updateFromScene(),
+                    undefined,
+                    true
+                );
+            }
+        } else {
+            this.onTileContentLoadedObservable = this.rootTile.onTileContentLoadedObservable;
+            this.onTileShownObservable = this.rootTile.onTileShownObservable;
+            this.onTileHiddenObservable = this.rootTile.onTileHiddenObservable;
+            this.onTileDisposedObservable = this.rootTile.onTileDisposedObservable;
+            this.onTileLoadErrorObservable = this.rootTile.onTileLoadErrorObservable;
+            this.onTilesetIdleObservable = this.rootTile.onTilesetIdleObservable;
+        }
         this.occlusionCullingService = properties.occlusionCullingService;
         this.static = properties.static;
         // if (this.occlusionCullingService) {
@@ -99,7 +181,7 @@ export class OGC3DTile extends BABYLON.TransformNode {
         this.childrenTiles = [];
         this.meshContent;
         this.tileContent;
-        this.refine; // defaults to "REPLACE"
+        this.refine; // "REPLACE" or "ADD", inherited from the parent and defaults to "REPLACE"
         this.rootPath;
         this.geometricError;
         this.boundingVolume;
@@ -133,6 +215,9 @@ export class OGC3DTile extends BABYLON.TransformNode {
         this.level = properties.level ? properties.level : 0;
         this.hasMeshContent = false; // true when the provided json has a content field pointing to a B3DM file
         this.hasUnloadedJSONContent = false; // true when the provided json has a content field pointing to a JSON file that is not yet loaded
+        this.hasUnloadedSubtree = false; // true when this tile is the root of an implicit subtree that is not yet loaded
+        this.loadFailed = false; // true when the json, content or subtree of this tile could not be loaded
+        this.idle = false; // true when nothing is loading in the tree, only maintained by the root tile
         this.centerModel = properties.centerModel;
         this.abortController = new AbortController();
         this.name = 'Level' + this.level;
@@ -158,71 +243,40 @@ export class OGC3DTile extends BABYLON.TransformNode {
                     url += '?' + props.substring(1);
                 }
             }
-            console.log('url:' + properties.url);
-            let fetchFunction;
-            if (self.proxy) {
-                fetchFunction = () => {
-                    return fetch(self.proxy, {
-                        method: 'POST',
-                        body: url,
-                        signal: self.abortController.signal,
-                    });
-                };
-            } else {
-                fetchFunction = () => {
-                    console.log('url:' + url);
-
-                    return fetch(url, { signal: self.abortController.signal });
-                };
-            }
-            fetchFunction()
+            this.url = url;
+            // through the interceptors and retries of the tile loader, like tile requests
+            self.tileLoader
+                .request(url, { signal: self.abortController.signal }, self.level)
                 .then((result) => {
-                    if (!result.ok) {
-                        throw new Error(
-                            `couldn't load "${properties.url}". Request failed with status ${result.status} : ${result.statusText}`
-                        );
-                    }
-                    result.json().then((json) => {
+                    return result.json().then((json) => {
                         self.setup({ rootPath: dirname(properties.url), json: json });
                         if (properties.onLoadCallback) properties.onLoadCallback(self);
                         if (self.centerModel) {
-                            const tempSphere = BABYLON.BoundingSphere.CreateFromCenterAndRadius(
-                                new BABYLON.Vector3(0, 0, 0),
-                                1
-                            );
-                            // if (self.boundingVolume instanceof BBO.BBO) {
-                            //     // box
-                            //     tempSphere.copy(self.boundingVolume.sphere);
-                            // } else 
-                            if (self.boundingVolume instanceof BABYLON.BoundingSphere) {
-                                //sphere
-                                tempSphere.copy(self.boundingVolume);
+                            const center = new BABYLON.Vector3(0, 0, 0);
+                            if (self.boundingVolume) {
+                                // box, region or sphere
+                                center.copyFrom(self.boundingVolume.center).multiplyInPlace(self.scaling);
                             }
 
-                            //tempSphere.applyMatrix4(self.matrixWorld);
-                            if (this.json.boundingVolume.region) {
-                                this.transformWGS84ToCartesian(
-                                    (this.json.boundingVolume.region[0] + this.json.boundingVolume.region[2]) * 0.5,
-                                    (this.json.boundingVolume.region[1] + this.json.boundingVolume.region[3]) * 0.5,
-                                    (this.json.boundingVolume.region[4] + this.json.boundingVolume.region[5]) * 0.5,
-                                    OGC3DTile.#tempVec1
+                            if (self.boundingVolume instanceof Region) {
+                                // rotate the ellipsoid normal at the center of the region onto the y axis
+                                const rotation = BABYLON.Quaternion.FromUnitVectorsToRef(
+                                    self.boundingVolume.up,
+                                    OGC3DTile.#upVector,
+                                    new BABYLON.Quaternion()
                                 );
-
-                                OGC3DTile.#tempQuaternion.setFromUnitVectors(
-                                    OGC3DTile.#tempVec1.normalize(),
-                                    OGC3DTile.#upVector.normalize()
-                                );
-                                self.applyQuaternion(OGC3DTile.#tempQuaternion);
+                                self.rotationQuaternion = rotation;
+                                center.rotateByQuaternionToRef(rotation, center);
                             }
 
-                            self.translateX(-tempSphere.center.x * self.scale.x);
-                            self.translateY(-tempSphere.center.y * self.scale.y);
-                            self.translateZ(-tempSphere.center.z * self.scale.z);
+                            self.position.subtractInPlace(center);
+                            // the volume was decoded before the tileset was moved
+                            self.decodeBoundingVolume();
                         }
                     });
                 })
                 .catch((e) => {
-                    if (self.displayErrors) showError(e);
+                    self.onLoadError(properties.url, e);
                 });
         }
     }
@@ -244,12 +298,15 @@ export class OGC3DTile extends BABYLON.TransformNode {
             this.json = properties.json;
         }
         this.rootPath = properties.json.rootPath ? properties.json.rootPath : properties.rootPath;
+        if (properties.json.session) this.session = properties.json.session;
 
-        // decode refine
+        // decode refine, inherited from the parent when not specified
         if (this.json.refine) {
-            this.refine = this.json.refine;
-        } else {
+            this.refine = this.json.refine.toUpperCase();
+        } else if (properties.parentRefine) {
             this.refine = properties.parentRefine;
+        } else {
+            this.refine = 'REPLACE';
         }
         // decode geometric error
         if (this.json.geometricError) {
@@ -260,40 +317,67 @@ export class OGC3DTile extends BABYLON.TransformNode {
 
         // decode transform
         if (this.json.transform && !this.centerModel) {
-            console.log('transform:' + properties.json.transform);
-            let mat = BABYLON.Matrix().FromArray(this.json.transform);
+            // the transform is expressed in the z-up tileset frame, convert it to the y-up scene frame
+            const mat = OGC3DTile.#yUpToZUp
+                .multiply(BABYLON.Matrix.FromArray(this.json.transform))
+                .multiply(OGC3DTile.#zUpToYUp);
             this.setPreTransformMatrix(mat);
         }
 
         // decode volume
+        this.decodeBoundingVolume(properties.parentBoundingVolume);
+
+        // decode implicit tiling, the content uri of the implicit root is a template resolved per tile
+        if (!this.json.implicitTile) {
+            const tiling = decodeImplicitTiling(this.json);
+            if (tiling) {
+                tiling.refine = this.refine;
+                tiling.geometricError = this.geometricError;
+                const root = { level: 0, x: 0, y: 0, z: 0 };
+                this.json.implicitTile = { tiling: tiling, ...root, subtree: null, subtreeRoot: root };
+                delete this.json.content;
+                delete this.json.contents;
+            }
+        }
+        if (this.json.implicitTile) {
+            this.implicitTile = this.json.implicitTile;
+            if (!this.implicitTile.subtree) {
+                this.hasUnloadedSubtree = true;
+                this.loadSubtree();
+            }
+        }
+
+        this.decodeContent();
+    }
+
+    decodeContent() {
+        // console.log("content:"+this.json.content)
+        if (this.json.content) {
+            //if there is a content, json or otherwise, schedule it to be loaded
+            if (this.json.content.uri && this.json.content.uri.includes('json')) {
+                this.hasUnloadedJSONContent = true;
+            } else if (this.json.content.url && this.json.content.url.includes('json')) {
+                this.hasUnloadedJSONContent = true;
+            } else {
+                this.hasMeshContent = true;
+            }
+            this.load();
+        }
+    }
+
+    /**
+     * Decodes the bounding volume of the tile json in world space.
+     * @param {Object} [parentBoundingVolume] - the volume used when the json doesn't define one
+     */
+    decodeBoundingVolume(parentBoundingVolume) {
         const worldMatrix = this.computeWorldMatrix(true);
         // console.log("worldMatrix: "+worldMatrix)
         if (this.json.boundingVolume) {
             if (this.json.boundingVolume.box) {
-                const values = this.json.boundingVolume.box;
-                const e1 = new BABYLON.Vector3(values[3], values[4], values[5]);
-                const halfWidth = e1.length();
-                const e2 = new BABYLON.Vector3(values[6], values[7], values[8]);
-                const halfHeight = e2.length();
-                const e3 = new BABYLON.Vector3(values[9], values[10], values[11]);
-                const halfDepth = e3.length();
-
-                const radius = Math.sqrt(halfWidth * halfWidth + halfHeight * halfHeight + halfDepth * halfDepth);
-                const center = BABYLON.Vector3.TransformCoordinates(
-                    new BABYLON.Vector3(values[0], values[2], -values[1]),
-                    worldMatrix
-                );
-
-                this.boundingVolume = BABYLON.BoundingSphere.CreateFromCenterAndRadius(center, radius);
+                this.boundingVolume = OBB.FromBoxArray(this.json.boundingVolume.box, worldMatrix);
             } else if (this.json.boundingVolume.region) {
-                const region = this.json.boundingVolume.region;
-                this.transformWGS84ToCartesian(region[0], region[1], region[4], OGC3DTile.#tempVec1);
-                this.transformWGS84ToCartesian(region[2], region[3], region[5], OGC3DTile.#tempVec2);
-                OGC3DTile.#tempVec1 = BABYLON.Vector3.Lerp(OGC3DTile.#tempVec1, OGC3DTile.#tempVec2, 0.5);
-                this.boundingVolume = BABYLON.CreateFromCenterAndRadius(
-                    OGC3DTile.#tempVec1,
-                    BABYLON.Vector3.Distance(OGC3DTile.#tempVec1, OGC3DTile.#tempVec2)
-                );
+                // regions are given in the frame of the tileset, the transforms of the tiles don't apply to them
+                this.boundingVolume = new Region(this.json.boundingVolume.region, this.getTilesetMatrix());
             } else if (this.json.boundingVolume.sphere) {
                 const sphere = this.json.boundingVolume.sphere;
                 this.boundingVolume = BABYLON.BoundingSphere.CreateFromCenterAndRadius(
@@ -301,24 +385,22 @@ export class OGC3DTile extends BABYLON.TransformNode {
                     sphere[3]
                 );
             } else {
-                this.boundingVolume = properties.parentBoundingVolume;
+                this.boundingVolume = parentBoundingVolume;
             }
         } else {
-            this.boundingVolume = properties.parentBoundingVolume;
+            this.boundingVolume = parentBoundingVolume;
         }
+    }
 
-        // console.log("content:"+this.json.content)
-        if (this.json.content) {
-            //if there is a content, json or otherwise, schedule it to be loaded
-            if (this.json.content.uri && this.json.content.uri.includes('json')) {
-                this.hasUnloadedJSONContent = true;
-            } else if (this.json.content.url && this.json.content.url.includes('json')) {
-                this.hasUnloadedJSONContent = true;
-            } else {
-                this.hasMeshContent = true;
-            }
-            this.load();
-        }
+    /**
+     * @returns {BABYLON.Matrix} the transform from the frame of the tileset to the scene, without the transform of the
+     * root tile json and its descendants
+     */
+    getTilesetMatrix() {
+        const rootTile = this.rootTile;
+        const worldMatrix = rootTile.computeWorldMatrix(true);
+        // the tile transform is the pre-transform matrix of the node
+        return BABYLON.Matrix.Invert(rootTile.getPivotMatrix()).multiply(worldMatrix);
     }
 
     assembleURL(root, relative) {
@@ -364,6 +446,92 @@ export class OGC3DTile extends BABYLON.TransformNode {
         return urlObj.toString();
     }
 
+    /**
+     * Resolves a uri from the tileset json against the root path and appends the query params.
+     * @param {string} url - an absolute or relative url
+     * @returns {string} the url to fetch
+     */
+    resolveURL(url) {
+        const self = this;
+        const urlRegex = /^(?:http|https|ftp|tcp|udp):\/\/\S+/;
+
+        if (urlRegex.test(self.rootPath)) {
+            // url
+
+            if (!urlRegex.test(url)) {
+                url = self.assembleURL(self.rootPath, url);
+            }
+        }
+        if (self.rootTile.google) {
+            // the session of the url starts a subtree, other urls are sent with the session of their subtree
+            const urlObject = new URL(url);
+            if (self.session && !urlObject.searchParams.has('session')) {
+                urlObject.searchParams.set('session', self.session);
+            }
+            for (let key in self.queryParams) {
+                if (!urlObject.searchParams.has(key)) urlObject.searchParams.set(key, self.queryParams[key]);
+            }
+            return urlObject.toString();
+        }
+        url = self.extractQueryParams(url, self.queryParams);
+        if (self.queryParams) {
+            let props = '';
+            for (let key in self.queryParams) {
+                if (Object.prototype.hasOwnProperty.call(self.queryParams, key)) {
+                    // This check is necessary to skip properties from the object's prototype chain
+                    props += '&' + key + '=' + self.queryParams[key];
+                }
+            }
+            if (url.includes('?')) {
+                url += props;
+            } else {
+                url += '?' + props.substring(1);
+            }
+        }
+        return url;
+    }
+
+    /**
+     * Loads the subtree this tile is the root of and schedules the load of the tile content if it is available.
+     */
+    loadSubtree() {
+        const self = this;
+        const url = self.resolveURL(expandTemplate(self.implicitTile.tiling.subtreesUri, self.implicitTile));
+        self.tileLoader.get(
+            self.abortController,
+            self.uuid,
+            url,
+            (subtree) => {
+                if (self.deleted) return;
+                self.tileLoader.invalidate(url, self.uuid);
+                self.implicitTile.subtree = subtree;
+                self.hasUnloadedSubtree = false;
+                // the root of a subtree is always the first tile of its availability bitstreams
+                if (subtree.isContentAvailable(0)) {
+                    self.json.content = {
+                        uri: expandTemplate(self.implicitTile.tiling.contentUri, self.implicitTile),
+                    };
+                    self.decodeContent();
+                }
+            },
+            undefined,
+            undefined,
+            undefined,
+            undefined,
+            undefined,
+            undefined,
+            (error) => self.onLoadError(url, error)
+        );
+    }
+
+    /**
+     * Creates the json of the available children of an implicit tile once its subtree is loaded.
+     */
+    expandImplicitChildren() {
+        if (!this.implicitTile.subtree) return;
+        this.json.children = getImplicitChildren(this.implicitTile);
+    }
+
     load() {
         const self = this;
         if (self.deleted) return;
@@ -374,33 +542,17 @@ export class OGC3DTile extends BABYLON.TransformNode {
             } else if (self.json.content.url) {
                 url = self.json.content.url;
             }
-            const urlRegex = /^(?:http|https|ftp|tcp|udp):\/\/\S+/;
-
-            if (urlRegex.test(self.rootPath)) {
-                // url
-
-                if (!urlRegex.test(url)) {
-                    url = self.assembleURL(self.rootPath, url);
-                }
-            } 
-            url = self.extractQueryParams(url, self.queryParams);
-            if (self.queryParams) {
-                let props = '';
-                for (let key in self.queryParams) {
-                    if (Object.prototype.hasOwnProperty.call(self.queryParams, key)) {
-                        // This check is necessary to skip properties from the object's prototype chain
-                        props += '&' + key + '=' + self.queryParams[key];
-                    }
-                }
-                if (url.includes('?')) {
-                    url += props;
-                } else {
-                    url += '?' + props.substring(1);
-                }
-            }
+            url = self.resolveURL(url);
 
             if (url) {
-                if (url.includes('.b3dm') || url.includes('.glb') || url.includes('.gltf')) {
+                if (
+                    url.includes('.b3dm') ||
+                    url.includes('.i3dm') ||
+                    url.includes('.pnts') ||
+                    url.includes('.cmpt') ||
+                    url.includes('.glb') ||
+                    url.includes('.gltf')
+                ) {
                     self.contentURL = url;
                     // console.log("loading:"+url)
                     try {
@@ -411,19 +563,6 @@ export class OGC3DTile extends BABYLON.TransformNode {
                             (mesh) => {
                                 if (self.deleted) return;
 
-                                if (mesh.asset && mesh.asset.copyright) {
-                                    mesh.asset.copyright.split(';').forEach((s) => {
-                                        if (copyright[s]) {
-                                            copyright[s]++;
-                                        } else {
-                                            copyright[s] = 1;
-                                        }
-                                    });
-                                    if (self.displayCopyright) {
-                                        updateCopyrightLabel();
-                                    }
-                                }
-
                                 if (mesh) {
                                     mesh.meshes.forEach((m) => {
                                         m.alwaysSelectAsActiveMesh = true;
@@ -446,54 +585,235 @@ export class OGC3DTile extends BABYLON.TransformNode {
                                     // mesh.addAllToScene();
                                     // mesh.rootNodes[0].parent = self;
                                     self.meshContent = mesh;
+                                    // read once, counted while the content is displayed
+                                    self.contentCredits = getCredits(mesh);
+                                    self.updateAttributions();
+                                    self.loadOrder = ++self.rootTile.loadCount;
+                                    self.notifyTileEvent(self.onTileContentLoadedObservable);
                                 }
                             },
                             !self.cameraOnLoad
                                 ? () => 0
                                 : () => {
-                                      return self.calculateDistanceToCamera(self.cameraOnLoad);
+                                      return self.calculateDistanceToCameras(self.cameraOnLoad);
                                   },
                             () => {
-                                // if current tile is 10 times farther than the camera radius, choose not the load the sliblings
-                                if (self.calculateDistanceToCamera(self.cameraOnLoad) > 10 * self.cameraOnLoad.radius)
+                                // if current tile is 10 times farther than the radius of every camera, choose not the load the sliblings
+                                if (
+                                    self.cameraOnLoad &&
+                                    self.cameraOnLoad.every(
+                                        (camera) => self.calculateDistanceToCamera(camera) > 10 * camera.radius
+                                    )
+                                )
                                     return [];
                                 return self.getSiblings();
                             },
                             self.level,
-                            self.json.boundingVolume.region ? false : self.yUp === undefined || self.yUp,
-                            self.json.boundingVolume.region,
-                            self.geometricError
+                            !(self.boundingVolume instanceof Region) && self.yUp === false,
+                            false,
+                            self.geometricError,
+                            (error) => self.onLoadError(url, error),
+                            self.rootTile.uuid
                         );
                     } catch (e) {
-                        if (self.displayErrors) showError(e);
+                        self.onLoadError(url, e);
                     }
                 } else if (url.includes('.json')) {
-                    self.tileLoader.get(self.abortController, this.uuid, url, (json) => {
-                        if (self.deleted) return;
-                        if (!self.json.children) self.json.children = [];
-                        json.rootPath = dirname(url);
-                        self.json.children.push(json);
-                        delete self.json.content;
-                        self.hasUnloadedJSONContent = false;
-                    });
+                    self.tileLoader.get(
+                        self.abortController,
+                        this.uuid,
+                        url,
+                        (json) => {
+                            if (self.deleted) return;
+                            // the json is kept in the tree, the cache can evict it like the content of the tiles
+                            self.tileLoader.invalidate(url, self.uuid);
+                            if (!self.json.children) self.json.children = [];
+                            json.rootPath = dirname(url);
+                            if (self.rootTile.google) {
+                                // the session of the subtree of this json
+                                json.session = new URL(url).searchParams.get('session') || self.session;
+                            }
+                            self.json.children.push(json);
+                            delete self.json.content;
+                            self.hasUnloadedJSONContent = false;
+                        },
+                        undefined,
+                        undefined,
+                        undefined,
+                        undefined,
+                        undefined,
+                        undefined,
+                        (error) => self.onLoadError(url, error)
+                    );
                 }
             }
         }
     }
 
-    dispose() {
-        if (this.meshContent && this.meshContent.asset && this.meshContent.asset.copyright) {
-            this.meshContent.asset.copyright.split(';').forEach((s) => {
-                if (copyright[s]) {
-                    copyright[s]--;
-                }
-            });
-            if (self.displayCopyright) {
-                updateCopyrightLabel();
+    /**
+     * Marks the tile as failed, traversal then treats it as an empty leaf, and reports the error.
+     * @param {string} url - the url of the tileset json, content or subtree that couldn't be loaded
+     * @param {Error} error - the error, a {@link TileLoadError} unless the request couldn't be made
+     */
+    onLoadError(url, error) {
+        if (this.deleted || (error && error.name === 'AbortError')) return;
+        if (!(error instanceof TileLoadError)) {
+            error = new TileLoadError(error.message, { url: url, type: 'decode', level: this.level, cause: error });
+        } else if (error.level === undefined) {
+            // json and subtrees are requested without level
+            error.level = this.level;
+        }
+        if (this.rootTile.google && error.type == 'http') {
+            if (error.status == 401 || error.status == 403 || (this.rootTile === this && error.status == 400)) {
+                error.reason = 'apiKey';
+            } else if ((error.status == 400 || error.status == 404) && new URL(url).searchParams.has('session')) {
+                error.reason = 'session';
+                this.rootTile.reloadGoogleSession();
             }
         }
+        this.loadFailed = true;
+        this.notifyTileEvent(this.onTileLoadErrorObservable, { url: url, error: error });
+        if (this.rootTile.onError) {
+            this.rootTile.onError(error);
+        } else {
+            console.error(error);
+        }
+    }
+
+    /**
+     * Requests the root of a Google tileset again for new sessions, the tiles of the expired sessions are disposed and
+     * loaded again. Does nothing when the root was requested less than 10 minutes before.
+     */
+    reloadGoogleSession() {
+        const self = this;
+        const now = performance.now();
+        if (this.sessionReloadTime !== undefined && now - this.sessionReloadTime < SESSION_RELOAD_INTERVAL) return;
+        this.sessionReloadTime = now;
+        this.tileLoader
+            .request(this.url, { signal: this.abortController.signal }, this.level)
+            .then((result) => result.json())
+            .then((json) => {
+                if (self.deleted) return;
+                self.disposeChildren();
+                // the children hold the urls of the tileset json of every subtree, with new sessions
+                self.json.children = (json.root || json).children;
+            })
+            .catch((e) => {
+                self.onLoadError(self.url, e);
+            });
+    }
+
+    /**
+     * The credits of the tileset, from the copyright of the content of the displayed tiles. As Google requires, the
+     * credits are de-duplicated and sorted by the number of tiles they appear in, the most frequent first.
+     * @returns {string[]} the credits to display
+     */
+    getAttributions() {
+        const attributions = this.rootTile.attributions;
+        return Array.from(attributions.keys()).sort(
+            (a, b) => attributions.get(b) - attributions.get(a) || a.localeCompare(b)
+        );
+    }
+
+    /**
+     * Notifies an observable of the tileset with the description of this tile.
+     * @param {BABYLON.Observable} observable - one of the tile observables
+     * @param {Object} [data] - optional fields to add to or override in the event
+     */
+    notifyTileEvent(observable, data) {
+        if (!observable.hasObservers()) return;
+        observable.notifyObservers({
+            tile: this,
+            level: this.level,
+            url: this.contentURL,
+            geometricError: this.geometricError,
+            ...data,
+        });
+    }
+
+    /**
+     * @returns {boolean} true if the json, content or subtree of this tile or of one of its descendants is still loading
+     */
+    hasPendingLoads() {
+        if (!this.loadFailed) {
+            if (!this.json || this.hasUnloadedJSONContent || this.hasUnloadedSubtree) return true;
+            if (this.hasMeshContent && this.contentURL && !this.meshContent) return true;
+        }
+        return this.childrenTiles.some((child) => child.hasPendingLoads());
+    }
+
+    /**
+     * Gathers statistics about this tile and its descendants, call it on the root tile for the whole tileset.
+     * The per level histograms are arrays indexed by tile level.
+     * @returns {Object} the tile counts, the number of triangles and points displayed and the stats of the tile loader
+     */
+    getStats() {
+        const stats = {
+            tiles: 0,
+            tilesWithContent: 0,
+            loadedTiles: 0,
+            visibleTiles: 0,
+            loadingTiles: 0,
+            failedTiles: 0,
+            triangles: 0,
+            points: 0,
+            tilesPerLevel: [],
+            loadedPerLevel: [],
+            visiblePerLevel: [],
+            loader: this.tileLoader.getStats(),
+        };
+        const increment = (histogram, level) => {
+            histogram[level] = (histogram[level] || 0) + 1;
+        };
+        const traverse = (tile) => {
+            stats.tiles++;
+            increment(stats.tilesPerLevel, tile.level);
+            if (tile.loadFailed) {
+                stats.failedTiles++;
+            }
+            if (tile.hasMeshContent) {
+                stats.tilesWithContent++;
+                if (tile.meshContent) {
+                    stats.loadedTiles++;
+                    increment(stats.loadedPerLevel, tile.level);
+                    if (tile.materialVisibility) {
+                        stats.visibleTiles++;
+                        increment(stats.visiblePerLevel, tile.level);
+                        tile.meshContent.meshes.forEach((mesh) => {
+                            if (mesh.material && mesh.material.fillMode === BABYLON.Constants.MATERIAL_PointFillMode) {
+                                stats.points += mesh.getTotalVertices();
+                            } else {
+                                stats.triangles +=
+                                    (mesh.isUnIndexed ? mesh.getTotalVertices() : mesh.getTotalIndices()) / 3;
+                            }
+                        });
+                    }
+                } else if (tile.contentURL && !tile.loadFailed) {
+                    stats.loadingTiles++;
+                }
+            }
+            tile.childrenTiles.forEach(traverse);
+        };
+        traverse(this);
+
+        // fill the gaps so that histograms can be read like regular arrays
+        stats.tilesPerLevel = Array.from(stats.tilesPerLevel, (count) => count || 0);
+        stats.loadedPerLevel = Array.from(stats.loadedPerLevel, (count) => count || 0);
+        stats.visiblePerLevel = Array.from(stats.visiblePerLevel, (count) => count || 0);
+        return stats;
+    }
 
+    dispose() {
         this.changeContentVisibility(false);
+        if (this.debugView) {
+            this.debugView.dispose();
+            this.debugView = undefined;
+        }
+        if (this.debugTexture) {
+            this.debugTexture.dispose();
+            this.debugTexture = undefined;
+        }
+        this.notifyTileEvent(this.onTileDisposedObservable);
         this.childrenTiles.forEach((tile) => tile.dispose());
         this.childrenTiles = [];
         this.deleted = true;
@@ -522,6 +842,26 @@ export class OGC3DTile extends BABYLON.TransformNode {
         // });
         // this.parent = null;
         // this.parentTile = null;
+        if (this.rootTile === this) {
+            if (this.beforeRenderObserver) {
+                this.scene.onBeforeRenderObservable.remove(this.beforeRenderObserver);
+                this.beforeRenderObserver = undefined;
+            }
+            if (this.ownsTileLoader) {
+                this.tileLoader.dispose();
+            }
+            this.onTileContentLoadedObservable.clear();
+            this.onTileShownObservable.clear();
+            this.onTileHiddenObservable.clear();
+            this.onTileDisposedObservable.clear();
+            this.onTileLoadErrorObservable.clear();
+            this.onTilesetIdleObservable.clear();
+            if (this.attributionsLabel) {
+                this.attributionsLabel.dispose();
+                this.attributionsLabel = undefined;
+            }
+            this.onAttributionsChangedObservable.clear();
+        }
         super.dispose();
         // this.dispatchEvent({ type: 'removed' });
     }
@@ -533,21 +873,55 @@ export class OGC3DTile extends BABYLON.TransformNode {
         // if (self.meshContent) self.children.push(self.meshContent);
     }
 
+    /**
+     * Updates the tileset from the cameras given by the autoUpdate property, before a frame of the scene.
+     */
+    updateFromScene() {
+        let cameras = this.autoUpdate;
+        if (cameras === true) {
+            cameras =
+                this.scene.activeCameras && this.scene.activeCameras.length > 0
+                    ? this.scene.activeCameras
+                    : this.scene.activeCamera;
+            if (!cameras) return;
+        }
+        this.update(cameras);
+    }
+
+    /**
+     * Updates the tile tree. When several cameras are given, a tile is loaded and refined if any of the views needs it.
+     * @param {BABYLON.Camera|BABYLON.Camera[]} camera - the camera or cameras the tileset is viewed from, each camera uses its own viewport
+     */
     update(camera) {
         const self = this;
+        const cameras = Array.isArray(camera) ? camera : [camera];
         const visibilityBeforeUpdate = self.materialVisibility;
         // console.log("boundingVolume: "+ self.boundingVolume)
         // console.log("geometricError: "+ self.geometricError)
 
         if (self.boundingVolume && self.geometricError) {
-            self.metric = self.calculateUpdateMetric(camera);
+            self.metric = self.calculateUpdateMetric(cameras);
         }
-        self.childrenTiles.forEach((child) => child.update(camera));
+        self.childrenTiles.forEach((child) => child.update(cameras));
 
         // console.log("metric: "+self.metric)
         updateNodeVisibility(self.metric);
         updateTree(self.metric);
         trimTree(self.metric, visibilityBeforeUpdate);
+        self.updateDebugView();
+        self.updatePointCloud(cameras);
+
+        if (self.rootTile === self) {
+            const idle = !self.hasPendingLoads();
+            if (idle && !self.idle) {
+                self.notifyTileEvent(self.onTilesetIdleObservable);
+            }
+            self.idle = idle;
+            if (self.attributionsChanged) {
+                self.attributionsChanged = false;
+                self.onAttributionsChangedObservable.notifyObservers(self.getAttributions());
+            }
+        }
 
         function updateTree(metric) {
             // If this tile does not have mesh content but it has children
@@ -565,11 +939,14 @@ export class OGC3DTile extends BABYLON.TransformNode {
                 !self.hasMeshContent ||
                 (metric < self.geometricErrorMultiplier * self.geometricError && self.meshContent)
             ) {
+                if (self.implicitTile && !self.json.children) {
+                    self.expandImplicitChildren();
+                }
                 if (self.json && self.json.children) {
                     // && self.childrenTiles.length != childrenLength){//self.json.children.length) {
                     let childrenLength = 0;
                     self.json.children.forEach((childJSON) => {
-                        if (childJSON.root || childJSON.children || childJSON.content) {
+                        if (childJSON.root || childJSON.children || childJSON.content || childJSON.implicitTile) {
                             childrenLength++;
                         }
                     });
@@ -598,10 +975,13 @@ export class OGC3DTile extends BABYLON.TransformNode {
                 } else if (metric >= self.geometricErrorMultiplier * self.geometricError) {
                     // Ideal LOD or before ideal lod
                     self.changeContentVisibility(true);
+                } else if (self.refine == 'ADD') {
+                    // Ideal LOD is past this one but children only add detail to this tile, both are displayed
+                    self.changeContentVisibility(true);
                 } else {
                     // Ideal LOD is past this one
                     // if children are visible and have been displayed, can be hidden
-                    if (self.refine == 'REPLACE' && self.childrenTiles.every((child) => child.isReady())) {
+                    if (self.childrenTiles.every((child) => child.isReady())) {
                         self.changeContentVisibility(false);
                     }
                 }
@@ -618,9 +998,10 @@ export class OGC3DTile extends BABYLON.TransformNode {
                 return;
             }
 
+            // with additive refinement this tile stays visible, only the children are checked
             if (
                 self.occlusionCullingService &&
-                !visibilityBeforeUpdate &&
+                (!visibilityBeforeUpdate || self.refine == 'ADD') &&
                 self.hasMeshContent &&
                 self.meshContent &&
                 self.meshDisplayed &&
@@ -640,7 +1021,7 @@ export class OGC3DTile extends BABYLON.TransformNode {
 
         function loadJsonChildren() {
             self.json.children.forEach((childJSON) => {
-                if (!childJSON.root && !childJSON.children && !childJSON.content) {
+                if (!childJSON.root && !childJSON.children && !childJSON.content && !childJSON.implicitTile) {
                     return;
                 }
 
@@ -653,10 +1034,12 @@ export class OGC3DTile extends BABYLON.TransformNode {
                     json: childJSON,
                     rootPath: self.rootPath,
                     geometricErrorMultiplier: self.geometricErrorMultiplier,
+                    maximumScreenSpaceError: self.maximumScreenSpaceError,
+                    pixelRatio: self.pixelRatio,
                     loadOutsideView: self.loadOutsideView,
                     level: self.level + 1,
                     tileLoader: self.tileLoader,
-                    cameraOnLoad: camera,
+                    cameraOnLoad: cameras,
                     occlusionCullingService: self.occlusionCullingService,
                     scene: self.scene,
                     renderer: self.renderer,
@@ -664,8 +1047,8 @@ export class OGC3DTile extends BABYLON.TransformNode {
                     static: self.static,
                     centerModel: false,
                     yUp: self.yUp,
-                    displayErrors: self.displayErrors,
-                    displayCopyright: self.displayCopyright,
+                    debug: self.debug,
+                    pointCloud: self.pointCloud,
                 });
                 self.childrenTiles.push(childTile);
                 // self.add(childTile);
@@ -678,7 +1061,11 @@ export class OGC3DTile extends BABYLON.TransformNode {
         const self = this;
         this.childrenTiles.every((child) => {
             if (child.hasMeshContent) {
-                if (child.childrenTiles.length > 0) {
+                // the children of an additive child are displayed along with it
+                if (
+                    child.childrenTiles.length > 0 &&
+                    (child.refine != 'ADD' || !child.areAllChildrenLoadedAndHidden())
+                ) {
                     allLoadedAndHidden = false;
                     return false;
                 }
@@ -704,7 +1091,8 @@ export class OGC3DTile extends BABYLON.TransformNode {
     }
 
     /**
-     * Node is ready if it is outside frustum, if it was drawn at least once or if all it's children are ready
+     * Node is ready if it is outside frustum, if it was drawn at least once or if all it's children are ready.
+     * A node with additive refinement is ready when it was drawn at least once and all it's children are ready.
      * @returns true if ready
      */
     isReady() {
@@ -712,8 +1100,16 @@ export class OGC3DTile extends BABYLON.TransformNode {
         if (!this.inFrustum) {
             return true;
         }
-        // if json is not done loading
-        if (this.hasUnloadedJSONContent) {
+        // a tile that failed to load is an empty leaf
+        if (this.loadFailed) {
+            return true;
+        }
+        // if json or subtree is not done loading
+        if (this.hasUnloadedJSONContent || this.hasUnloadedSubtree) {
+            return false;
+        }
+        // with additive refinement, the content of this tile is displayed along with its children
+        if (this.refine == 'ADD' && this.hasMeshContent && (!this.meshContent || !this.materialVisibility)) {
             return false;
         }
         // if this tile has no mesh content or if it's marked as visible false, look at children
@@ -750,6 +1146,10 @@ export class OGC3DTile extends BABYLON.TransformNode {
 
         // if all meshes have been displayed once
         if (this.meshDisplayed) {
+            // additive children are part of what this tile displays
+            if (this.refine == 'ADD') {
+                return this.childrenTiles.every((child) => child.isReady());
+            }
             return true;
         }
 
@@ -774,24 +1174,62 @@ export class OGC3DTile extends BABYLON.TransformNode {
         }
         self.materialVisibility = visibility;
         self.meshDisplayed = true;
+        self.updateAttributions();
+        if (self.hasMeshContent && self.meshContent) {
+            // the content is used until it is hidden, it is evicted after the content hidden before
+            self.tileLoader.touch(self.contentURL);
+            self.notifyTileEvent(visibility ? self.onTileShownObservable : self.onTileHiddenObservable);
+        }
+    }
+
+    /**
+     * Counts the credits of the content of the tile in the attributions of the tileset while the content is displayed,
+     * called when the content is loaded and when its visibility changes.
+     */
+    updateAttributions() {
+        const displayed = !!(this.hasMeshContent && this.meshContent && this.materialVisibility);
+        if (!this.contentCredits || this.contentCredits.length == 0 || displayed == !!this.creditsCounted) {
+            return;
+        }
+
+        const attributions = this.rootTile.attributions;
+        this.contentCredits.forEach((credit) => {
+            const count = (attributions.get(credit) || 0) + (displayed ? 1 : -1);
+            if (count > 0) {
+                attributions.set(credit, count);
+            } else {
+                attributions.delete(credit);
+            }
+        });
+        this.creditsCounted = displayed;
+        this.rootTile.attributionsChanged = true;
     }
 
-    calculateUpdateMetric(camera) {
-        // ////// return -1 if not in frustum
-        // if (this.boundingVolume instanceof OBB.OBB) {
-        //     // box
-        //     // OGC3DTile.#tempSphere.copy(this.boundingVolume.sphere);
-        //     // OGC3DTile.#tempSphere.applyMatrix(this.matrixWorld);
-        //     // if (!camera.isInFrustum(OGC3DTile.#tempSphere, ture)) return -1;
-        //     OGC3DTile.#tempSphere = this.boundingVolume.sphere;
-        //     const inOriginalCameraFrustum = OGC3DTile.#tempSphere.isInFrustum(
-        //         BABYLON.Frustum.GetPlanes(camera.getTransformationMatrix())
-        //     );
-        //     if (!inOriginalCameraFrustum) return -1;
-        // } else
-        if (this.boundingVolume instanceof BABYLON.BoundingSphere) {
-            let tempSphere = this.boundingVolume;
-            const inOriginalCameraFrustum = tempSphere.isInFrustum(
+    /**
+     * @param {BABYLON.Camera|BABYLON.Camera[]} cameras - the camera or cameras the tileset is viewed from
+     * @returns {number} the smallest metric among the views the tile is visible in, -1 if it isn't visible in any
+     */
+    calculateUpdateMetric(cameras) {
+        if (!Array.isArray(cameras)) return this.calculateCameraUpdateMetric(cameras);
+
+        let metric = -1;
+        cameras.forEach((camera) => {
+            const cameraMetric = this.calculateCameraUpdateMetric(camera);
+            if (cameraMetric >= 0 && (metric < 0 || cameraMetric < metric)) {
+                metric = cameraMetric;
+            }
+        });
+        return metric;
+    }
+
+    calculateCameraUpdateMetric(camera) {
+        ////// return -1 if not in frustum, the transformation matrix holds the perspective or orthographic projection
+        if (
+            this.boundingVolume instanceof OBB ||
+            this.boundingVolume instanceof Region ||
+            this.boundingVolume instanceof BABYLON.BoundingSphere
+        ) {
+            const inOriginalCameraFrustum = this.boundingVolume.isInFrustum(
                 BABYLON.Frustum.GetPlanes(camera.getTransformationMatrix())
             );
             if (!inOriginalCameraFrustum) return -1;
@@ -800,33 +1238,50 @@ export class OGC3DTile extends BABYLON.TransformNode {
             return -1;
         }
 
-        /////// return metric based on geometric error and distance
-        const distance = Math.max(
-            0,
-            BABYLON.Vector3.Distance(camera.position, this.boundingVolume.center) - this.boundingVolume.radius
-        );
-
-        if (distance == 0) {
-            return 0;
-        }
         const scale = 1; //this.matrixWorld.getMaxScaleOnAxis();
         let aspect = 1;
+        let renderWidth = OGC3DTile.#rendererSize.x;
+        let renderHeight = OGC3DTile.#rendererSize.y;
         if (this.renderer) {
             // this.renderer.getDrawingBufferSize(OGC3DTile.#rendererSize);
-            OGC3DTile.#rendererSize.x = this.renderer.getRenderWidth(true);
-            OGC3DTile.#rendererSize.y = this.renderer.getRenderHeight(true);
-            aspect = this.renderer.getScreenAspectRatio();
+            renderWidth = this.renderer.getRenderWidth(true);
+            renderHeight = this.renderer.getRenderHeight(true);
+            // the size of the viewport the camera renders to
+            OGC3DTile.#rendererSize.x = renderWidth * camera.viewport.width;
+            OGC3DTile.#rendererSize.y = renderHeight * camera.viewport.height;
+            aspect = this.renderer.getAspectRatio(camera, true);
         }
         let s = OGC3DTile.#rendererSize.y;
-        let fov = camera.fov;
-        if (aspect < 1) {
-            fov *= aspect;
-            s = OGC3DTile.#rendererSize.x;
-        }
+        // lambda is the size in world units covered by s pixels
+        let lambda;
+
+        if (camera.mode === BABYLON.Camera.ORTHOGRAPHIC_CAMERA) {
+            /////// return metric based on geometric error and ortho extents, distance doesn't change the size of a pixel
+            // like babylon, fall back to the size of the whole render target when the extents are not set
+            const halfWidth = renderWidth * 0.5;
+            const halfHeight = renderHeight * 0.5;
+            lambda = (camera.orthoTop ?? halfHeight) - (camera.orthoBottom ?? -halfHeight);
+            if (aspect < 1) {
+                lambda = (camera.orthoRight ?? halfWidth) - (camera.orthoLeft ?? -halfWidth);
+                s = OGC3DTile.#rendererSize.x;
+            }
+        } else {
+            /////// return metric based on geometric error and distance
+            const distance = this.calculateDistanceToCamera(camera);
 
-        let lambda = 2.0 * Math.tan(0.5 * fov) * distance;
+            if (distance == 0) {
+                return 0;
+            }
+            let fov = camera.fov;
+            if (aspect < 1) {
+                fov *= aspect;
+                s = OGC3DTile.#rendererSize.x;
+            }
+
+            lambda = 2.0 * Math.tan(0.5 * fov) * distance;
+        }
 
-        return (window.devicePixelRatio * 16 * lambda) / (s * scale);
+        return (this.getPixelRatio() * this.maximumScreenSpaceError * lambda) / (s * scale);
     }
 
     getSiblings() {
@@ -848,17 +1303,32 @@ export class OGC3DTile extends BABYLON.TransformNode {
         return tiles;
     }
 
+    /**
+     * @param {BABYLON.Camera[]} cameras - the cameras the tileset is viewed from
+     * @returns {number} the distance to the closest camera
+     */
+    calculateDistanceToCameras(cameras) {
+        let distance = Number.MAX_VALUE;
+        cameras.forEach((camera) => {
+            distance = Math.min(distance, this.calculateDistanceToCamera(camera));
+        });
+        return distance;
+    }
+
     calculateDistanceToCamera(camera) {
-        // if (this.boundingVolume instanceof OBB.OBB) {
-        //     // // box
-        //     // OGC3DTile.#tempSphere.copy(this.boundingVolume.sphere);
-        //     // OGC3DTile.#tempSphere.applyMatrix(this.matrixWorld);
-        //     // //if (!frustum.intersectsSphere(OGC3DTile.#tempSphere)) return -1;
-        //     OGC3DTile.#tempSphere = this.boundingVolume.sphere;
-        // } else
-        if (this.boundingVolume instanceof BABYLON.BoundingSphere) {
-            let tempSphere = this.boundingVolume;
-        } else {
+        if (camera.mode === BABYLON.Camera.ORTHOGRAPHIC_CAMERA) {
+            // depth doesn't change the size on screen, prioritise tiles close to the view axis instead
+            const forward = OGC3DTile.#tempVec1.set(0, 0, camera.getScene().useRightHandedSystem ? -1 : 1);
+            camera.getDirectionToRef(forward, forward);
+            const toCenter = this.boundingVolume.center.subtractToRef(camera.position, OGC3DTile.#tempVec2);
+            toCenter.subtractInPlace(forward.scaleInPlace(BABYLON.Vector3.Dot(toCenter, forward)));
+            return Math.max(0, toCenter.length() - this.boundingVolume.radius);
+        }
+
+        if (this.boundingVolume instanceof OBB || this.boundingVolume instanceof Region) {
+            // box or region
+            return this.boundingVolume.distanceToPoint(camera.position);
+        } else if (!(this.boundingVolume instanceof BABYLON.BoundingSphere)) {
             console.error('unsupported shape');
         }
 
@@ -873,79 +1343,127 @@ export class OGC3DTile extends BABYLON.TransformNode {
         this.childrenTiles.forEach((child) => child.setGeometricErrorMultiplier(geometricErrorMultiplier));
     }
 
-    transformWGS84ToCartesian(lon, lat, h, sfct) {
-        const a = 6378137.0;
-        const e = 0.006694384442042;
-        const N = a / Math.sqrt(1.0 - e * Math.pow(Math.sin(lat), 2));
-        const cosLat = Math.cos(lat);
-        const cosLon = Math.cos(lon);
-        const sinLat = Math.sin(lat);
-        const sinLon = Math.sin(lon);
-        const nPh = N + h;
-        const x = nPh * cosLat * cosLon;
-        const y = nPh * cosLat * sinLon;
-        const z = (0.993305615557957 * N + h) * sinLat;
+    setMaximumScreenSpaceError(maximumScreenSpaceError) {
+        this.maximumScreenSpaceError = maximumScreenSpaceError;
+        this.childrenTiles.forEach((child) => child.setMaximumScreenSpaceError(maximumScreenSpaceError));
+    }
 
-        sfct.set(x, y, z);
+    /**
+     * Enables, changes or disables (with a falsy value) the debug display of this tile and its descendants.
+     * @param {Object} debug - the debug display options: { boundingVolumes, colorMode, labels }, see {@link DebugView}
+     */
+    setDebug(debug) {
+        this.debug = debug;
+        this.updateDebugView();
+        this.childrenTiles.forEach((child) => child.setDebug(debug));
+        if (!debug && this.debugTexture) {
+            this.debugTexture.dispose();
+            this.debugTexture = undefined;
+        }
     }
-}
 
-function showError(error) {
-    // Create a new div element
-    const errorDiv = document.createElement('div');
-
-    // Set its text content
-    errorDiv.textContent = error;
-
-    // Set styles
-    errorDiv.style.position = 'fixed'; // Fix position to the viewport
-    errorDiv.style.top = '10px'; // Set top position
-    errorDiv.style.left = '50%'; // Center horizontally
-    errorDiv.style.transform = 'translateX(-50%)'; // Make sure it's centered accurately
-    errorDiv.style.padding = '10px'; // Add some padding
-    errorDiv.style.backgroundColor = '#ff8800'; // Set a background color
-    errorDiv.style.color = '#ffffff'; // Set a text color
-    errorDiv.style.zIndex = '9999'; // Make sure it's on top of other elements
-
-    // Append the new div to the body
-    document.body.appendChild(errorDiv);
-
-    // After 3 seconds, remove the error message
-    setTimeout(function () {
-        errorDiv.remove();
-    }, 8000);
-}
+    /**
+     * Changes the point size options of this tile and its descendants.
+     * @param {Object} pointCloud - the point size options, see updatePointCloud
+     */
+    setPointCloud(pointCloud) {
+        this.pointCloud = pointCloud;
+        this.childrenTiles.forEach((child) => child.setPointCloud(pointCloud));
+    }
+
+    /**
+     * Sets the size of the points of the visible content, in pixels multiplied by the pixel ratio:
+     * - pointSize: the size without attenuation, 1 by default
+     * - attenuation: if true, the size is the geometric error of the tile on screen times geometricErrorScale (1 by
+     *   default), clamped between 1 and maximumAttenuation (the maximum screen space error by default)
+     * - baseResolution: the error used for tiles without geometric error, by default the size of the bounding volume
+     *   divided by the cube root of the number of points
+     * @param {BABYLON.Camera[]} cameras - the cameras the tileset is viewed from
+     */
+    updatePointCloud(cameras) {
+        if (!this.hasMeshContent || !this.meshContent || !this.materialVisibility) return;
+        const points = this.meshContent.meshes.filter(
+            (mesh) => mesh.material && mesh.material.fillMode === BABYLON.Constants.MATERIAL_PointFillMode
+        );
+        if (points.length == 0) return;
+
+        const pointCloud = this.pointCloud || {};
+        let pointSize = pointCloud.pointSize !== undefined ? pointCloud.pointSize : 1;
+        if (pointCloud.attenuation) {
+            let error = this.geometricError;
+            if (!error) {
+                const pointsLength =
+                    this.meshContent.pointsLength || points.reduce((sum, mesh) => sum + mesh.getTotalVertices(), 0);
+                error =
+                    pointCloud.baseResolution !== undefined
+                        ? pointCloud.baseResolution
+                        : (2 * this.boundingVolume.radius) / Math.cbrt(Math.max(1, pointsLength));
+            }
+            // the metric is the size in world units of maximumScreenSpaceError pixels
+            const metric = this.geometricError ? this.metric : this.calculateUpdateMetric(cameras);
+            const maximumAttenuation =
+                pointCloud.maximumAttenuation !== undefined
+                    ? pointCloud.maximumAttenuation
+                    : this.maximumScreenSpaceError;
+            const geometricErrorScale =
+                pointCloud.geometricErrorScale !== undefined ? pointCloud.geometricErrorScale : 1;
+            pointSize =
+                metric > 0 ? (error * geometricErrorScale * this.maximumScreenSpaceError) / metric : maximumAttenuation;
+            pointSize = Math.min(maximumAttenuation, Math.max(1, pointSize));
+        }
+        pointSize *= this.getPixelRatio();
+        points.forEach((mesh) => {
+            mesh.material.pointSize = pointSize;
+        });
+    }
 
-function updateCopyrightLabel() {
-    // Create a new div
-    if (!copyrightDiv) {
-        copyrightDiv = document.createElement('div');
+    updateDebugView() {
+        if (
+            !this.debug ||
+            !this.boundingVolume ||
+            !this.hasMeshContent ||
+            !this.meshContent ||
+            !this.materialVisibility
+        ) {
+            if (this.debugView) {
+                this.debugView.dispose();
+                this.debugView = undefined;
+            }
+            return;
+        }
+        if (!this.debugView) {
+            this.debugView = new DebugView(this);
+        }
+        this.debugView.update();
     }
 
-    // Join the array elements with a comma and a space
-    let list = '';
-    for (let key in copyright) {
-        if (Object.prototype.hasOwnProperty.call(copyright, key) && copyright[key] > 0) {
-            // This checks if the key is actually part of the object and not its prototype.
-            list += key + ', ';
+    /**
+     * @returns {Object} the GUI texture the debug labels of the tileset are drawn on, only called on the root tile
+     */
+    getDebugTexture() {
+        if (!this.debugTexture) {
+            this.debugTexture = BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI('tilesetDebug', true, this.scene);
         }
+        return this.debugTexture;
     }
 
-    // Set the text content of the div
-    copyrightDiv.textContent = list;
+    getPixelRatio() {
+        return typeof this.pixelRatio === 'function' ? this.pixelRatio() : this.pixelRatio;
+    }
+}
 
-    // Style the div
-    copyrightDiv.style.position = 'fixed';
-    copyrightDiv.style.bottom = '20px';
-    copyrightDiv.style.left = '20px';
-    copyrightDiv.style.color = 'white';
-    copyrightDiv.style.textShadow =
-        '2px 2px 0 #000, -1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000';
-    copyrightDiv.style.padding = '10px';
-    copyrightDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.1)'; // semi-transparent black background
+/**
+ * @param {Object} meshContent - the loaded content of a tile
+ * @returns {string[]} the de-duplicated credits of the copyright of the content
+ */
+function getCredits(meshContent) {
+    if (!meshContent.asset || !meshContent.asset.copyright) return [];
+    const credits = meshContent.asset.copyright.split(';').map((credit) => credit.trim());
+    return Array.from(new Set(credits.filter((credit) => credit.length > 0)));
+}
 
-    // Append the div to the body of the document
-    document.body.appendChild(copyrightDiv);
+function defaultPixelRatio() {
+    return typeof window !== 'undefined' && window.devicePixelRatio ? window.devicePixelRatio : 1;
 }
 
 function uuidv4() {
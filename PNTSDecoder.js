@@ -0,0 +1,237 @@
+import { FeatureTable, BatchTable, readTables, octDecode } from './FeatureTable.js';
+import { BATCH_ID_KIND } from './B3DMDecoder.js';
+
+const PNTS_MAGIC = 0x73746e70; // "pnts"
+const HEADER_LENGTH = 28;
+
+/**
+ * Decodes Point Cloud tiles into asset containers holding a single mesh drawn as points.
+ *
+ * Positions (POSITION or POSITION_QUANTIZED, relative to RTC_CENTER) and normals (NORMAL or NORMAL_OCT16P) are
+ * converted from the z-up tileset frame to the y-up scene frame. Colors come from RGBA, RGB or RGB565 per point, or
+ * from CONSTANT_RGBA for the whole tile. Points without normals are not lit. The batch id of every point is stored as
+ * vertex data of kind {@link BATCH_ID_KIND} and container.batchTable holds the per batch, or per point when there is no
+ * BATCH_ID, properties.
+ *
+ * The point size is set on the material, see the pointCloud option of {@link OGC3DTile} for screen space error based
+ * attenuation.
+ */
+export class PNTSDecoder {
+    /**
+     * @param {Object} scene - the scene the decoded containers belong to
+     */
+    constructor(scene) {
+        this.scene = scene;
+    }
+
+    /**
+     * @param {ArrayBuffer|Object} content - the pnts data, or the result of {@link preparePNTS} when it was prepared in a worker
+     * @param {function} [pointsCallback] - called on the decoded points mesh
+     * @returns {Promise<Object>} an asset container with featureTable, batchTable and pointsLength properties
+     */
+    parsePNTS(content, pointsCallback) {
+        const self = this;
+        return new Promise((resolve) => {
+            const pnts = content instanceof ArrayBuffer ? preparePNTS(content) : content;
+            const points = pnts.points;
+
+            const container = new BABYLON.AssetContainer(self.scene);
+            const mesh = new BABYLON.Mesh('points', self.scene);
+            const vertexData = new BABYLON.VertexData();
+            vertexData.positions = points.positions;
+            if (points.normals) vertexData.normals = points.normals;
+            if (points.colors) vertexData.colors = points.colors;
+            vertexData.applyToMesh(mesh);
+            mesh.isUnIndexed = true;
+            // z-up tileset frame to y-up scene frame
+            mesh.position.set(points.origin[0], points.origin[2], -points.origin[1]);
+            mesh.hasVertexAlpha = points.hasAlpha;
+            if (points.batchIds) {
+                mesh.setVerticesData(BATCH_ID_KIND, points.batchIds, false, 1);
+            }
+
+            const material = new BABYLON.StandardMaterial('pointsMaterial', self.scene);
+            material.pointsCloud = true;
+            material.pointSize = 1;
+            material.backFaceCulling = false;
+            material.specularColor = BABYLON.Color3.Black();
+            // without normals the points show their color as is
+            material.disableLighting = !points.normals;
+            if (points.constantColor) {
+                material.diffuseColor = new BABYLON.Color3(
+                    points.constantColor[0],
+                    points.constantColor[1],
+                    points.constantColor[2]
+                );
+                material.alpha = points.constantColor[3];
+            }
+            mesh.material = material;
+
+            // the container owns the mesh, it is added to the scene when the tile is shown
+            container.meshes.push(mesh);
+            container.geometries.push(mesh.geometry);
+            container.rootNodes.push(mesh);
+            container.materials.push(material);
+            container.removeAllFromScene();
+
+            container.featureTable = new FeatureTable(pnts.featureTableJSON, pnts.featureTableBinary);
+            container.batchTable = pnts.batchTableJSON
+                ? new BatchTable(pnts.batchTableJSON, pnts.batchTableBinary, points.batchLength)
+                : undefined;
+            container.pointsLength = points.length;
+
+            if (pointsCallback && points.length > 0) pointsCallback(mesh);
+            resolve(container);
+        });
+    }
+}
+
+/**
+ * Reads the header, the tables and the points, which doesn't require babylon. Called in the workers of a
+ * {@link TileWorkerPool}, the result only holds json and typed arrays.
+ * @param {ArrayBuffer} arrayBuffer - the pnts data
+ * @returns {Object} the tables json and binary bodies and the points as vertex data
+ */
+export function preparePNTS(arrayBuffer) {
+    const pnts = parsePNTSHeader(arrayBuffer);
+    return {
+        featureTableJSON: pnts.featureTable.json,
+        featureTableBinary: pnts.featureTable.binary,
+        batchTableJSON: pnts.batchTableJSON,
+        batchTableBinary: pnts.batchTableBinary,
+        points: readPoints(pnts.featureTable),
+    };
+}
+
+/**
+ * Reads the header and tables of a pnts, doesn't require babylon.
+ * @param {ArrayBuffer} arrayBuffer - the pnts data
+ * @returns {{featureTable: FeatureTable, batchTableJSON: Object, batchTableBinary: Uint8Array}} the tables
+ */
+export function parsePNTSHeader(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(0, true) !== PNTS_MAGIC) {
+        throw new Error('invalid pnts, wrong magic');
+    }
+    const byteLength = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+    const tables = readTables(new Uint8Array(arrayBuffer, HEADER_LENGTH, byteLength - HEADER_LENGTH), [
+        view.getUint32(12, true),
+        view.getUint32(16, true),
+        view.getUint32(20, true),
+        view.getUint32(24, true),
+    ]);
+    return {
+        featureTable: new FeatureTable(tables.featureTableJSON, tables.featureTableBinary),
+        batchTableJSON: tables.batchTableJSON,
+        batchTableBinary: tables.batchTableBinary,
+    };
+}
+
+/**
+ * Reads the points of the feature table into vertex data in the scene frame, (x, y, z) -> (x, z, -y).
+ * Positions are relative to origin, the RTC_CENTER or the quantized volume offset in the tileset frame, which keeps
+ * them small.
+ */
+function readPoints(featureTable) {
+    const length = featureTable.getGlobalProperty('POINTS_LENGTH', 'UNSIGNED_INT', 1) || 0;
+    const origin = Array.from(featureTable.getGlobalProperty('RTC_CENTER', 'FLOAT', 3) || [0, 0, 0]);
+    const positions = new Float32Array(length * 3);
+
+    const floatPositions = featureTable.getProperty('POSITION', 'FLOAT', 3, length);
+    const quantizedPositions = featureTable.getProperty('POSITION_QUANTIZED', 'UNSIGNED_SHORT', 3, length);
+    if (floatPositions) {
+        for (let i = 0; i < length; i++) {
+            setZupToYup(positions, i, floatPositions[i * 3], floatPositions[i * 3 + 1], floatPositions[i * 3 + 2]);
+        }
+    } else if (quantizedPositions) {
+        const offset = featureTable.getGlobalProperty('QUANTIZED_VOLUME_OFFSET', 'FLOAT', 3);
+        const scale = featureTable.getGlobalProperty('QUANTIZED_VOLUME_SCALE', 'FLOAT', 3);
+        if (!offset || !scale) {
+            throw new Error(
+                'invalid pnts, POSITION_QUANTIZED requires QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE'
+            );
+        }
+        origin[0] += offset[0];
+        origin[1] += offset[1];
+        origin[2] += offset[2];
+        for (let i = 0; i < length; i++) {
+            setZupToYup(
+                positions,
+                i,
+                (quantizedPositions[i * 3] / 65535) * scale[0],
+                (quantizedPositions[i * 3 + 1] / 65535) * scale[1],
+                (quantizedPositions[i * 3 + 2] / 65535) * scale[2]
+            );
+        }
+    } else if (length > 0) {
+        throw new Error('invalid pnts, POSITION or POSITION_QUANTIZED is required');
+    }
+
+    let normals;
+    const floatNormals = featureTable.getProperty('NORMAL', 'FLOAT', 3, length);
+    const octNormals = featureTable.getProperty('NORMAL_OCT16P', 'UNSIGNED_BYTE', 2, length);
+    if (floatNormals) {
+        normals = new Float32Array(length * 3);
+        for (let i = 0; i < length; i++) {
+            setZupToYup(normals, i, floatNormals[i * 3], floatNormals[i * 3 + 1], floatNormals[i * 3 + 2]);
+        }
+    } else if (octNormals) {
+        normals = new Float32Array(length * 3);
+        for (let i = 0; i < length; i++) {
+            const normal = octDecode(octNormals[i * 2], octNormals[i * 2 + 1], 255);
+            setZupToYup(normals, i, normal[0], normal[1], normal[2]);
+        }
+    }
+
+    let colors;
+    let hasAlpha = false;
+    const rgba = featureTable.getProperty('RGBA', 'UNSIGNED_BYTE', 4, length);
+    const rgb = featureTable.getProperty('RGB', 'UNSIGNED_BYTE', 3, length);
+    const rgb565 = featureTable.getProperty('RGB565', 'UNSIGNED_SHORT', 1, length);
+    if (rgba) {
+        colors = Float32Array.from(rgba, (value) => value / 255);
+        hasAlpha = true;
+    } else if (rgb) {
+        colors = new Float32Array(length * 4);
+        for (let i = 0; i < length; i++) {
+            colors.set([rgb[i * 3] / 255, rgb[i * 3 + 1] / 255, rgb[i * 3 + 2] / 255, 1], i * 4);
+        }
+    } else if (rgb565) {
+        colors = new Float32Array(length * 4);
+        for (let i = 0; i < length; i++) {
+            const value = rgb565[i];
+            colors.set([((value >> 11) & 31) / 31, ((value >> 5) & 63) / 63, (value & 31) / 31, 1], i * 4);
+        }
+    }
+    let constantColor = featureTable.getGlobalProperty('CONSTANT_RGBA', 'UNSIGNED_BYTE', 4);
+    if (constantColor && !colors) {
+        constantColor = Array.from(constantColor, (value) => value / 255);
+    } else {
+        constantColor = undefined;
+    }
+
+    let batchIds = featureTable.getProperty('BATCH_ID', 'UNSIGNED_SHORT', 1, length);
+    let batchLength = length;
+    if (batchIds) {
+        batchIds = Float32Array.from(batchIds);
+        batchLength = featureTable.getGlobalProperty('BATCH_LENGTH', 'UNSIGNED_INT', 1) || 0;
+    }
+
+    return {
+        length: length,
+        origin: origin,
+        positions: positions,
+        normals: normals,
+        colors: colors,
+        hasAlpha: hasAlpha,
+        constantColor: constantColor,
+        batchIds: batchIds,
+        batchLength: batchLength,
+    };
+}
+
+function setZupToYup(array, index, x, y, z) {
+    array[index * 3] = x;
+    array[index * 3 + 1] = z;
+    array[index * 3 + 2] = -y;
+}
@@ -0,0 +1,360 @@
+const INDEX_KEY = '__index__';
+const CACHE_ORIGIN = 'https://persistent-cache.invalid/';
+
+/**
+ * A persistent cache of raw tile responses so that tiles and tileset json are not downloaded again in later sessions,
+ * see the persistentCache option of {@link TileLoader}.
+ *
+ * Responses are stored as ArrayBuffers in a storage backend. Their size, last access and expiry are kept in an index
+ * that is saved in the same storage. When the cache grows above maxBytes, the least recently used responses are
+ * deleted. Expired responses are deleted when they are requested. The expiry comes from the Cache-Control max-age or
+ * the Expires header of the response, maxAge is used when there is neither, no-store and no-cache responses aren't
+ * stored.
+ *
+ * A storage backend is an object with get(key), put(key, buffer), delete(key), keys() and clear() methods returning
+ * promises, see {@link MemoryStorage}, {@link CacheAPIStorage} and {@link IndexedDBStorage}.
+ */
+export class PersistentCache {
+    /**
+     * @param {Object} [options] - Optional configuration object.
+     * @param {Object} [options.storage] - the storage backend, by default the Cache API when available, then IndexedDB, then memory
+     * @param {string} [options.name='3d-tiles'] - the name of the cache or database of the default storage
+     * @param {number} [options.maxBytes=536870912] - the size above which the least recently used responses are deleted, 512MB by default
+     * @param {number} [options.maxAge=604800000] - the time in milliseconds responses without expiry headers are kept, 7 days by default
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || createDefaultStorage(options.name || '3d-tiles');
+        this.maxBytes = options.maxBytes > 0 ? options.maxBytes : 512 * 1024 * 1024;
+        this.maxAge = options.maxAge > 0 ? options.maxAge : 7 * 24 * 3600 * 1000;
+        // { byteLength, lastAccess, expires } by key, from least to most recently used
+        this.entries = new Map();
+        this.bytes = 0;
+        this.ready = this.open();
+    }
+
+    /**
+     * Reads the index, stored responses that aren't in it and index entries without response are removed.
+     */
+    open() {
+        const self = this;
+        return Promise.all([this.storage.get(INDEX_KEY), this.storage.keys()])
+            .then(([indexBuffer, keys]) => {
+                const index = indexBuffer ? JSON.parse(new TextDecoder().decode(indexBuffer)) : [];
+                const storedKeys = new Set(keys);
+                index
+                    .filter((entry) => storedKeys.has(entry.key))
+                    .sort((a, b) => a.lastAccess - b.lastAccess)
+                    .forEach((entry) => {
+                        self.entries.set(entry.key, {
+                            byteLength: entry.byteLength,
+                            lastAccess: entry.lastAccess,
+                            expires: entry.expires,
+                        });
+                        self.bytes += entry.byteLength;
+                    });
+                return Promise.all(
+                    keys
+                        .filter((key) => key !== INDEX_KEY && !self.entries.has(key))
+                        .map((key) => self.storage.delete(key))
+                );
+            })
+            .catch((error) => {
+                console.error('could not open the persistent cache', error);
+            });
+    }
+
+    /**
+     * @param {string} key - the key of the response
+     * @returns {Promise<ArrayBuffer|undefined>} the stored response, undefined when it isn't stored or has expired
+     */
+    get(key) {
+        const self = this;
+        return this.ready.then(() => {
+            const entry = self.entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expires <= Date.now()) {
+                return self.delete(key).then(() => undefined);
+            }
+            return self.storage.get(key).then((buffer) => {
+                if (!buffer) {
+                    // deleted from the storage by the browser
+                    self.removeEntry(key);
+                    return undefined;
+                }
+                self.entries.delete(key);
+                entry.lastAccess = Date.now();
+                self.entries.set(key, entry);
+                self.scheduleIndexSave();
+                return buffer;
+            });
+        });
+    }
+
+    /**
+     * Stores a response, the buffer is copied and can be used or transferred after the call.
+     * @param {string} key - the key of the response
+     * @param {ArrayBuffer} buffer - the response data
+     * @param {Object} [headers] - the response headers that decide the expiry: { cacheControl, expires }
+     * @returns {Promise} resolved when the response is stored
+     */
+    put(key, buffer, headers = {}) {
+        const self = this;
+        const expires = this.getExpiry(headers.cacheControl, headers.expires);
+        if (expires <= Date.now() || buffer.byteLength > this.maxBytes) return Promise.resolve();
+        const data = buffer.slice(0);
+        return this.ready
+            .then(() => self.storage.put(key, data))
+            .then(() => {
+                self.removeEntry(key);
+                self.entries.set(key, { byteLength: data.byteLength, lastAccess: Date.now(), expires: expires });
+                self.bytes += data.byteLength;
+                return self.evict();
+            })
+            .then(() => self.scheduleIndexSave())
+            .catch((error) => {
+                console.error('could not store ' + key + ' in the persistent cache', error);
+            });
+    }
+
+    /**
+     * @param {string} [cacheControl] - the Cache-Control header of the response
+     * @param {string} [expires] - the Expires header of the response
+     * @returns {number} the time the response expires at, in milliseconds since the epoch
+     */
+    getExpiry(cacheControl, expires) {
+        const now = Date.now();
+        if (cacheControl) {
+            if (/no-store|no-cache/.test(cacheControl)) return now;
+            const maxAge = /max-age=(\d+)/.exec(cacheControl);
+            if (maxAge) return now + Number(maxAge[1]) * 1000;
+        }
+        if (expires) {
+            const date = Date.parse(expires);
+            if (!isNaN(date)) return date;
+        }
+        return now + this.maxAge;
+    }
+
+    /**
+     * Deletes the least recently used responses until the cache is within maxBytes.
+     */
+    evict() {
+        const keys = [];
+        for (const [key, entry] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            keys.push(key);
+            this.bytes -= entry.byteLength;
+        }
+        keys.forEach((key) => this.entries.delete(key));
+        return Promise.all(keys.map((key) => this.storage.delete(key)));
+    }
+
+    /**
+     * @param {string} key - the key of the response to delete
+     * @returns {Promise} resolved when the response is deleted
+     */
+    delete(key) {
+        const self = this;
+        return this.ready.then(() => {
+            self.removeEntry(key);
+            self.scheduleIndexSave();
+            return self.storage.delete(key);
+        });
+    }
+
+    /**
+     * Deletes every stored response, a pending save of the index is replaced by the save of an empty index.
+     * @returns {Promise} resolved when the storage is empty
+     */
+    clear() {
+        const self = this;
+        return this.ready.then(() => {
+            clearTimeout(self.indexSaveTimeout);
+            self.indexSaveTimeout = undefined;
+            self.entries.clear();
+            self.bytes = 0;
+            return self.storage.clear().then(() => self.flush());
+        });
+    }
+
+    /**
+     * @returns {Promise<{key: string, byteLength: number, lastAccess: number, expires: number}[]>} the stored responses, from least to most recently used
+     */
+    getEntries() {
+        const self = this;
+        return this.ready.then(() => Array.from(self.entries, ([key, entry]) => ({ key: key, ...entry })));
+    }
+
+    /**
+     * @returns {{entries: number, bytes: number, maxBytes: number}} the number of stored responses and their size
+     */
+    getStats() {
+        return { entries: this.entries.size, bytes: this.bytes, maxBytes: this.maxBytes };
+    }
+
+    removeEntry(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.bytes -= entry.byteLength;
+            this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Saves the index a second after the first change, changes made meanwhile are saved along.
+     */
+    scheduleIndexSave() {
+        const self = this;
+        if (this.indexSaveTimeout !== undefined) return;
+        this.indexSaveTimeout = setTimeout(() => {
+            self.flush();
+        }, 1000);
+    }
+
+    /**
+     * Saves the index now.
+     * @returns {Promise} resolved when the index is saved
+     */
+    flush() {
+        clearTimeout(this.indexSaveTimeout);
+        this.indexSaveTimeout = undefined;
+        const index = Array.from(this.entries, ([key, entry]) => ({ key: key, ...entry }));
+        return this.storage.put(INDEX_KEY, new TextEncoder().encode(JSON.stringify(index)).buffer).catch((error) => {
+            console.error('could not save the persistent cache index', error);
+        });
+    }
+}
+
+/**
+ * Keeps responses in memory, for environments without persistent storage and for tests.
+ */
+export class MemoryStorage {
+    constructor() {
+        this.buffers = new Map();
+    }
+
+    get(key) {
+        const buffer = this.buffers.get(key);
+        // a copy, the caller may transfer it
+        return Promise.resolve(buffer ? buffer.slice(0) : undefined);
+    }
+
+    put(key, buffer) {
+        this.buffers.set(key, buffer);
+        return Promise.resolve();
+    }
+
+    delete(key) {
+        this.buffers.delete(key);
+        return Promise.resolve();
+    }
+
+    keys() {
+        return Promise.resolve(Array.from(this.buffers.keys()));
+    }
+
+    clear() {
+        this.buffers.clear();
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Stores responses with the Cache API.
+ */
+export class CacheAPIStorage {
+    /**
+     * @param {string} name - the name of the cache
+     */
+    constructor(name) {
+        this.name = name;
+        this.cache = caches.open(name);
+    }
+
+    get(key) {
+        return this.cache
+            .then((cache) => cache.match(toRequestURL(key)))
+            .then((response) => (response ? response.arrayBuffer() : undefined));
+    }
+
+    put(key, buffer) {
+        return this.cache.then((cache) => cache.put(toRequestURL(key), new Response(buffer)));
+    }
+
+    delete(key) {
+        return this.cache.then((cache) => cache.delete(toRequestURL(key)));
+    }
+
+    keys() {
+        return this.cache
+            .then((cache) => cache.keys())
+            .then((requests) =>
+                requests.map((request) => decodeURIComponent(request.url.substring(CACHE_ORIGIN.length)))
+            );
+    }
+
+    clear() {
+        const self = this;
+        return caches.delete(this.name).then(() => {
+            self.cache = caches.open(self.name);
+        });
+    }
+}
+
+/**
+ * Stores responses in an IndexedDB database.
+ */
+export class IndexedDBStorage {
+    /**
+     * @param {string} name - the name of the database
+     */
+    constructor(name) {
+        this.database = new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('responses');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transaction(mode, operation) {
+        return this.database.then(
+            (database) =>
+                new Promise((resolve, reject) => {
+                    const request = operation(database.transaction('responses', mode).objectStore('responses'));
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                })
+        );
+    }
+
+    get(key) {
+        return this.transaction('readonly', (store) => store.get(key));
+    }
+
+    put(key, buffer) {
+        return this.transaction('readwrite', (store) => store.put(buffer, key));
+    }
+
+    delete(key) {
+        return this.transaction('readwrite', (store) => store.delete(key));
+    }
+
+    keys() {
+        return this.transaction('readonly', (store) => store.getAllKeys());
+    }
+
+    clear() {
+        return this.transaction('readwrite', (store) => store.clear());
+    }
+}
+
+function createDefaultStorage(name) {
+    if (typeof caches !== 'undefined') return new CacheAPIStorage(name);
+    if (typeof indexedDB !== 'undefined') return new IndexedDBStorage(name);
+    return new MemoryStorage();
+}
+
+function toRequestURL(key) {
+    return CACHE_ORIGIN + encodeURIComponent(key);
+}
@@ -0,0 +1,135 @@
+// Run with: node PersistentCache.test.js
+import assert from 'node:assert/strict';
+import { PersistentCache, MemoryStorage } from './PersistentCache.js';
+
+const tests = [];
+function test(name, fn) {
+    tests.push({ name: name, fn: fn });
+}
+
+function buffer(byteLength, value = 0) {
+    return new Uint8Array(byteLength).fill(value).buffer;
+}
+
+// responses expire against a clock the tests move
+let now = 1000000;
+const dateNow = Date.now;
+Date.now = () => now;
+
+test('returns stored responses and copies the buffers', async () => {
+    const cache = new PersistentCache({ storage: new MemoryStorage() });
+    const data = buffer(8, 7);
+    await cache.put('a', data);
+    new Uint8Array(data).fill(0);
+    const stored = await cache.get('a');
+    assert.deepEqual(Array.from(new Uint8Array(stored)), [7, 7, 7, 7, 7, 7, 7, 7]);
+    assert.equal(await cache.get('b'), undefined);
+    assert.deepEqual(cache.getStats(), { entries: 1, bytes: 8, maxBytes: cache.maxBytes });
+    await cache.flush();
+});
+
+test('deletes expired responses when they are requested', async () => {
+    const storage = new MemoryStorage();
+    const cache = new PersistentCache({ storage: storage, maxAge: 60000 });
+    await cache.put('max-age', buffer(4), { cacheControl: 'public, max-age=10' });
+    await cache.put('expires', buffer(4), { expires: new Date(now + 20000).toUTCString() });
+    await cache.put('default', buffer(4));
+    await cache.put('no-store', buffer(4), { cacheControl: 'no-store' });
+    assert.deepEqual(
+        (await cache.getEntries()).map((entry) => entry.key),
+        ['max-age', 'expires', 'default']
+    );
+
+    now += 15000;
+    assert.equal(await cache.get('max-age'), undefined);
+    assert.ok(await cache.get('expires'));
+    now += 50000;
+    assert.equal(await cache.get('expires'), undefined);
+    assert.equal(await cache.get('default'), undefined);
+    assert.equal(cache.getStats().bytes, 0);
+    assert.deepEqual(await storage.keys(), []);
+    await cache.flush();
+});
+
+test('evicts the least recently used responses above maxBytes', async () => {
+    const storage = new MemoryStorage();
+    const cache = new PersistentCache({ storage: storage, maxBytes: 30 });
+    await cache.put('a', buffer(10));
+    now++;
+    await cache.put('b', buffer(10));
+    now++;
+    await cache.put('c', buffer(10));
+    now++;
+    // a becomes the most recently used
+    await cache.get('a');
+    await cache.put('d', buffer(10));
+    assert.deepEqual(
+        (await cache.getEntries()).map((entry) => entry.key),
+        ['c', 'a', 'd']
+    );
+    assert.equal(cache.getStats().bytes, 30);
+    assert.deepEqual((await storage.keys()).sort(), ['a', 'c', 'd']);
+
+    // larger than the cache, not stored
+    await cache.put('e', buffer(31));
+    assert.equal(await cache.get('e'), undefined);
+    await cache.flush();
+});
+
+test('reloads the index when opened', async () => {
+    const storage = new MemoryStorage();
+    const cache = new PersistentCache({ storage: storage });
+    await cache.put('a', buffer(3));
+    now++;
+    await cache.put('b', buffer(5));
+    now++;
+    await cache.get('a');
+    await cache.flush();
+    // a response stored without index entry and an index entry without response
+    await storage.put('orphan', buffer(2));
+    await cache.put('c', buffer(7));
+    await cache.flush();
+    await storage.delete('c');
+
+    const reopened = new PersistentCache({ storage: storage });
+    assert.deepEqual(
+        (await reopened.getEntries()).map((entry) => [entry.key, entry.byteLength]),
+        [
+            ['b', 5],
+            ['a', 3],
+        ]
+    );
+    assert.equal(reopened.getStats().bytes, 8);
+    assert.equal(await storage.get('orphan'), undefined);
+    assert.equal((await reopened.get('b')).byteLength, 5);
+    await reopened.flush();
+});
+
+test('clears the responses and the index', async () => {
+    const storage = new MemoryStorage();
+    const cache = new PersistentCache({ storage: storage });
+    await cache.put('a', buffer(4));
+    await cache.clear();
+    assert.equal(cache.indexSaveTimeout, undefined);
+    assert.deepEqual(cache.getStats(), { entries: 0, bytes: 0, maxBytes: cache.maxBytes });
+
+    const reopened = new PersistentCache({ storage: storage });
+    assert.deepEqual(await reopened.getEntries(), []);
+    assert.equal(await reopened.get('a'), undefined);
+});
+
+let failures = 0;
+for (const { name, fn } of tests) {
+    try {
+        await fn();
+        console.log('ok - ' + name);
+    } catch (error) {
+        failures++;
+        console.error('not ok - ' + name);
+        console.error(error);
+    }
+}
+Date.now = dateNow;
+if (failures > 0) {
+    throw new Error(failures + ' of ' + tests.length + ' tests failed');
+}
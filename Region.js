@@ -0,0 +1,175 @@
+import { OBB } from './OBB.js';
+import { WGS84_A, geodeticToCartesian, cartesianToGeodetic } from './Ellipsoid.js';
+
+const TWO_PI = 2 * Math.PI;
+// number of samples along longitude and latitude when fitting the box
+const SAMPLES = 9;
+
+/**
+ * A 3D Tiles "region" bounding volume: [west, south, east, north, minimum height, maximum height] with angles in
+ * radians and heights in meters above the WGS84 ellipsoid.
+ *
+ * Culling is done against an oriented box aligned with the local east-north-up frame at the center of the region.
+ * The distance to a point is computed by clamping the geodetic coordinates of the point to the region.
+ * Regions that cross the anti-meridian (west > east) are supported.
+ *
+ * Positions are converted from the z-up ECEF frame to the y-up scene frame, (x, y, z) -> (x, z, -y), the same way
+ * box volumes are, before being transformed by the tileset matrix. As the 3D Tiles specification requires, the
+ * transforms of the tiles don't apply to regions.
+ */
+export class Region {
+    static #tempVec = new BABYLON.Vector3(0, 0, 0);
+
+    /**
+     * @param {number[]} region - the 6 values of the region
+     * @param {BABYLON.Matrix} matrix - the transform from the frame of the tileset to the scene, see getTilesetMatrix of {@link OGC3DTile}
+     */
+    constructor(region, matrix) {
+        this.west = region[0];
+        this.south = region[1];
+        this.east = region[2];
+        this.north = region[3];
+        this.minHeight = region[4];
+        this.maxHeight = region[5];
+        // longitude span, accounts for regions crossing the anti-meridian
+        this.width = this.east >= this.west ? this.east - this.west : this.east + TWO_PI - this.west;
+        this.matrix = matrix.clone();
+        this.inverseMatrix = BABYLON.Matrix.Invert(matrix);
+
+        const centerLon = this.west + this.width * 0.5;
+        const centerLat = (this.south + this.north) * 0.5;
+        const centerHeight = (this.minHeight + this.maxHeight) * 0.5;
+
+        // local east-north-up frame at the center of the region in ECEF
+        const cosLat = Math.cos(centerLat);
+        const sinLat = Math.sin(centerLat);
+        const cosLon = Math.cos(centerLon);
+        const sinLon = Math.sin(centerLon);
+        const east = new BABYLON.Vector3(-sinLon, cosLon, 0);
+        const north = new BABYLON.Vector3(-sinLat * cosLon, -sinLat * sinLon, cosLat);
+        const up = new BABYLON.Vector3(cosLat * cosLon, cosLat * sinLon, sinLat);
+        const origin = geodeticToCartesian(centerLon, centerLat, centerHeight, new BABYLON.Vector3());
+
+        // fit the box to samples of the region on the bottom and top surfaces
+        const min = new BABYLON.Vector3(Number.MAX_VALUE, Number.MAX_VALUE, Number.MAX_VALUE);
+        const max = new BABYLON.Vector3(-Number.MAX_VALUE, -Number.MAX_VALUE, -Number.MAX_VALUE);
+        const sample = new BABYLON.Vector3();
+        for (let i = 0; i < SAMPLES; i++) {
+            const lon = this.west + (this.width * i) / (SAMPLES - 1);
+            for (let j = 0; j < SAMPLES; j++) {
+                const lat = this.south + ((this.north - this.south) * j) / (SAMPLES - 1);
+                for (const height of [this.minHeight, this.maxHeight]) {
+                    geodeticToCartesian(lon, lat, height, sample).subtractInPlace(origin);
+                    const x = BABYLON.Vector3.Dot(sample, east);
+                    const y = BABYLON.Vector3.Dot(sample, north);
+                    const z = BABYLON.Vector3.Dot(sample, up);
+                    min.minimizeInPlaceFromFloats(x, y, z);
+                    max.maximizeInPlaceFromFloats(x, y, z);
+                }
+            }
+        }
+        // the surface bulges between samples, pad the box by the largest possible sagitta
+        const step = Math.max(this.width, this.north - this.south) / (SAMPLES - 1);
+        const padding = (WGS84_A + Math.max(0, this.maxHeight)) * (1 - Math.cos(step * 0.5));
+        min.subtractFromFloatsToRef(padding, padding, padding, min);
+        max.addInPlaceFromFloats(padding, padding, padding);
+
+        const boxCenter = origin
+            .add(east.scale((min.x + max.x) * 0.5))
+            .addInPlace(north.scale((min.y + max.y) * 0.5))
+            .addInPlace(up.scale((min.z + max.z) * 0.5));
+        this.obb = new OBB(BABYLON.Vector3.TransformCoordinates(toYUp(boxCenter), matrix), [
+            BABYLON.Vector3.TransformNormal(toYUp(east.scale((max.x - min.x) * 0.5)), matrix),
+            BABYLON.Vector3.TransformNormal(toYUp(north.scale((max.y - min.y) * 0.5)), matrix),
+            BABYLON.Vector3.TransformNormal(toYUp(up.scale((max.z - min.z) * 0.5)), matrix),
+        ]);
+        this.center = this.obb.center;
+        this.radius = this.obb.radius;
+        this.sphere = this.obb.sphere;
+        // the ellipsoid normal at the center of the region in world space
+        this.up = BABYLON.Vector3.TransformNormal(toYUp(up), matrix).normalize();
+    }
+
+    /**
+     * @param {BABYLON.Plane[]} frustumPlanes - the frustum planes as returned by BABYLON.Frustum.GetPlanes
+     * @returns {boolean} true if the region intersects or is inside the frustum
+     */
+    isInFrustum(frustumPlanes) {
+        return this.obb.isInFrustum(frustumPlanes);
+    }
+
+    /**
+     * @param {BABYLON.Vector3} point - a point in world space
+     * @returns {number} the distance between the point and the closest point of the region, 0 if the point is inside the region
+     */
+    distanceToPoint(point) {
+        // back to ECEF
+        const local = BABYLON.Vector3.TransformCoordinates(point, this.inverseMatrix);
+        const geodetic = cartesianToGeodetic(local.x, -local.z, local.y);
+
+        let lon = geodetic.lon;
+        // longitude relative to west in [0, 2PI[
+        const offset = (((lon - this.west) % TWO_PI) + TWO_PI) % TWO_PI;
+        if (offset > this.width) {
+            // outside, clamp to the closest edge
+            lon = offset - this.width < TWO_PI - offset ? this.west + this.width : this.west;
+        }
+        const lat = Math.min(this.north, Math.max(this.south, geodetic.lat));
+        const height = Math.min(this.maxHeight, Math.max(this.minHeight, geodetic.height));
+        if (lon === geodetic.lon && lat === geodetic.lat && height === geodetic.height) {
+            return 0;
+        }
+
+        geodeticToCartesian(lon, lat, height, Region.#tempVec);
+        BABYLON.Vector3.TransformCoordinatesToRef(toYUp(Region.#tempVec), this.matrix, Region.#tempVec);
+        return BABYLON.Vector3.Distance(point, Region.#tempVec);
+    }
+
+    /**
+     * Computes the outline of the region, the bottom and top boundaries follow the curvature of the ellipsoid.
+     * @param {number} [segments=16] - the number of segments along each side of the region
+     * @returns {BABYLON.Vector3[][]} polylines in world space
+     */
+    getOutline(segments = 16) {
+        const self = this;
+        const toWorld = (lon, lat, height) => {
+            const point = toYUp(geodeticToCartesian(lon, lat, height, new BABYLON.Vector3()));
+            return BABYLON.Vector3.TransformCoordinates(point, self.matrix);
+        };
+        const lines = [];
+        for (const height of [this.minHeight, this.maxHeight]) {
+            const loop = [];
+            for (let i = 0; i < segments; i++) {
+                loop.push(toWorld(this.west + (this.width * i) / segments, this.south, height));
+            }
+            for (let i = 0; i < segments; i++) {
+                loop.push(toWorld(this.east, this.south + ((this.north - this.south) * i) / segments, height));
+            }
+            for (let i = 0; i < segments; i++) {
+                loop.push(toWorld(this.east - (this.width * i) / segments, this.north, height));
+            }
+            for (let i = 0; i < segments; i++) {
+                loop.push(toWorld(this.west, this.north - ((this.north - this.south) * i) / segments, height));
+            }
+            loop.push(loop[0]);
+            lines.push(loop);
+        }
+        for (const [lon, lat] of [
+            [this.west, this.south],
+            [this.east, this.south],
+            [this.east, this.north],
+            [this.west, this.north],
+        ]) {
+            lines.push([toWorld(lon, lat, this.minHeight), toWorld(lon, lat, this.maxHeight)]);
+        }
+        return lines;
+    }
+
+    toString() {
+        return `Region{ west: ${this.west}, south: ${this.south}, east: ${this.east}, north: ${this.north}, minHeight: ${this.minHeight}, maxHeight: ${this.maxHeight} }`;
+    }
+}
+
+function toYUp(vector) {
+    return vector.set(vector.x, vector.z, -vector.y);
+}
@@ -0,0 +1,140 @@
+/**
+ * The request layer of a {@link TileLoader}: the tileset json, tiles, subtrees and external buffers are all requested
+ * through a chain of interceptors before being sent with fetch.
+ *
+ * An interceptor is a function (request, next) => Promise<Response>. request is { url, init }, init being the fetch
+ * options, and next(request) hands a request to the following interceptor, the last one being followed by fetch. An
+ * interceptor can change the request before calling next, look at the response, or call next again to retry.
+ *
+ * Interceptors are functions of the main thread: with interceptors, content is downloaded on the main thread and only
+ * prepared in the workers of a {@link TileWorkerPool}.
+ */
+export class RequestHandler {
+    /**
+     * @param {Object} [options] - Optional configuration object.
+     * @param {function[]} [options.interceptors] - the interceptors, called in order on every request
+     * @param {function} [options.fetch] - sends the requests at the end of the chain: (url, init) => Promise<Response>, fetch by default
+     */
+    constructor(options = {}) {
+        this.interceptors = options.interceptors ? [...options.interceptors] : [];
+        this.customFetch = options.fetch;
+    }
+
+    /**
+     * Adds an interceptor at the end of the chain.
+     * @param {function} interceptor - (request, next) => Promise<Response>
+     * @returns {RequestHandler} this handler
+     */
+    use(interceptor) {
+        this.interceptors.push(interceptor);
+        return this;
+    }
+
+    /**
+     * @returns {boolean} true when requests are sent with fetch as they are, workers can then send them themselves
+     */
+    isDefault() {
+        return this.interceptors.length == 0 && !this.customFetch;
+    }
+
+    /**
+     * @param {string} url - the url of the resource
+     * @param {Object} [init] - the fetch options, a signal in particular
+     * @returns {Promise<Response>} the response
+     */
+    request(url, init = {}) {
+        const self = this;
+        const next = (index, request) => {
+            if (index == self.interceptors.length) {
+                return self.customFetch
+                    ? Promise.resolve(self.customFetch(request.url, request.init))
+                    : fetch(request.url, request.init);
+            }
+            return Promise.resolve(self.interceptors[index](request, (nextRequest) => next(index + 1, nextRequest)));
+        };
+        return next(0, { url: url, init: init });
+    }
+}
+
+/**
+ * @param {Object|function} headers - the headers to set on every request, or a function returning them or a promise of them
+ * @returns {function} an interceptor
+ */
+export function headersInterceptor(headers) {
+    return (request, next) =>
+        Promise.resolve(typeof headers === 'function' ? headers(request) : headers).then((values) =>
+            next({ url: request.url, init: withHeaders(request.init, values) })
+        );
+}
+
+/**
+ * Sends an api key in a header rather than in the url. Browsers then send a CORS preflight request before the requests
+ * to another origin, the key query parameter (queryParams of {@link OGC3DTile}) avoids it.
+ * @param {string} apiKey - the api key
+ * @param {string} [header='X-Goog-Api-Key'] - the name of the header
+ * @returns {function} an interceptor
+ */
+export function apiKeyInterceptor(apiKey, header = 'X-Goog-Api-Key') {
+    return headersInterceptor({ [header]: apiKey });
+}
+
+/**
+ * Sends a bearer token. When a response has an authorization error status, the token is refreshed and the request sent
+ * again once. Requests failing at the same time share one refresh.
+ * @param {Object} options - the token functions
+ * @param {function} options.getToken - returns the token or a promise of it, called on the first request
+ * @param {function} [options.refreshToken] - returns a new token or a promise of it, without it requests aren't retried
+ * @param {number[]} [options.statuses=[401]] - the statuses of the responses that trigger a refresh
+ * @returns {function} an interceptor
+ */
+export function authorizationInterceptor(options) {
+    const statuses = options.statuses || [401];
+    let token;
+    const setToken = (getter) => {
+        token = Promise.resolve(getter()).catch((error) => {
+            // the next request tries again
+            token = undefined;
+            throw error;
+        });
+        return token;
+    };
+    const send = (request, next, value) =>
+        next({ url: request.url, init: withHeaders(request.init, { Authorization: 'Bearer ' + value }) });
+
+    return (request, next) => {
+        const usedToken = token || setToken(options.getToken);
+        return usedToken
+            .then((value) => send(request, next, value))
+            .then((response) => {
+                if (!options.refreshToken || !statuses.includes(response.status)) return response;
+                // otherwise another request refreshed the token already
+                if (token === usedToken) setToken(options.refreshToken);
+                return token.then((value) => send(request, next, value));
+            });
+    };
+}
+
+/**
+ * Changes the url of every request, to use a mirror or to sign urls for instance.
+ * @param {function} rewrite - called with the url, returns the url to request or a promise of it
+ * @returns {function} an interceptor
+ */
+export function rewriteURLInterceptor(rewrite) {
+    return (request, next) =>
+        Promise.resolve(rewrite(request.url)).then((url) => next({ url: url, init: request.init }));
+}
+
+/**
+ * Sends every request to a proxy as a POST request with the url in the body.
+ * @param {string} proxy - the url of the proxy
+ * @returns {function} an interceptor
+ */
+export function proxyInterceptor(proxy) {
+    return (request, next) => next({ url: proxy, init: { ...request.init, method: 'POST', body: request.url } });
+}
+
+function withHeaders(init, values) {
+    const headers = new Headers(init.headers);
+    Object.keys(values || {}).forEach((name) => headers.set(name, values[name]));
+    return { ...init, headers: headers };
+}
@@ -0,0 +1,90 @@
+/**
+ * A Babylon GUI panel that displays the stats of a tileset live. Requires the babylon.gui library.
+ *
+ * @param {Object} properties - the properties for this overlay
+ * @param {OGC3DTile} properties.tileset - the root tile of the tileset to display the stats of
+ * @param {Object} properties.scene - the scene the tileset is rendered in
+ * @param {Object} [properties.advancedTexture] - optional GUI texture to add the panel to, a fullscreen UI is created when absent
+ * @param {number} [properties.refreshInterval=500] - the time in milliseconds between two refreshes of the displayed stats
+ */
+export class StatsOverlay {
+    constructor(properties) {
+        const self = this;
+        this.tileset = properties.tileset;
+        this.scene = properties.scene;
+        this.refreshInterval = properties.refreshInterval ? properties.refreshInterval : 500;
+        this.ownsTexture = !properties.advancedTexture;
+        this.advancedTexture = properties.advancedTexture
+            ? properties.advancedTexture
+            : BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI('tilesetStats', true, this.scene);
+
+        this.panel = new BABYLON.GUI.Rectangle('tilesetStatsPanel');
+        this.panel.adaptWidthToChildren = true;
+        this.panel.adaptHeightToChildren = true;
+        this.panel.thickness = 0;
+        this.panel.background = 'rgba(0, 0, 0, 0.5)';
+        this.panel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        this.panel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        this.panel.left = '10px';
+        this.panel.top = '10px';
+        this.advancedTexture.addControl(this.panel);
+
+        this.text = new BABYLON.GUI.TextBlock('tilesetStatsText');
+        this.text.resizeToFit = true;
+        this.text.color = 'white';
+        this.text.fontFamily = 'monospace';
+        this.text.fontSize = 12;
+        this.text.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        this.text.paddingLeft = '8px';
+        this.text.paddingRight = '8px';
+        this.text.paddingTop = '8px';
+        this.text.paddingBottom = '8px';
+        this.panel.addControl(this.text);
+
+        this.lastRefresh = 0;
+        this.observer = this.scene.onBeforeRenderObservable.add(() => {
+            const now = performance.now();
+            if (now - self.lastRefresh < self.refreshInterval) return;
+            self.lastRefresh = now;
+            self.refresh();
+        });
+    }
+
+    refresh() {
+        const stats = this.tileset.getStats();
+        const loader = stats.loader;
+        const lines = [
+            `tiles: ${stats.tiles} (${stats.tilesWithContent} with content)`,
+            `loaded: ${stats.loadedTiles}  visible: ${stats.visibleTiles}  loading: ${stats.loadingTiles}  failed: ${stats.failedTiles}`,
+            `triangles: ${stats.triangles.toLocaleString()}  points: ${stats.points.toLocaleString()}`,
+            `downloads: ${loader.activeDownloads} active, ${loader.queuedDownloads} queued, ${loader.queuedDecodes} to decode`,
+            `cache: ${loader.cachedItems} / ${loader.maxCachedItems}  ${(loader.cachedBytes / (1024 * 1024)).toFixed(1)} MB  hits: ${loader.cacheHits}`,
+            `fetched: ${(loader.bytesDownloaded / (1024 * 1024)).toFixed(1)} MB in ${loader.downloads} downloads`,
+            `avg download: ${loader.averageDownloadTime.toFixed(0)} ms  avg parse: ${loader.averageParseTime.toFixed(0)} ms`,
+            'level  tiles  loaded  visible',
+        ];
+        if (loader.persistentCache) {
+            lines.splice(
+                lines.length - 1,
+                0,
+                `persistent: ${loader.persistentCache.entries} items  ${(loader.persistentCache.bytes / (1024 * 1024)).toFixed(1)} MB  hits: ${loader.persistentCacheHits}`
+            );
+        }
+        stats.tilesPerLevel.forEach((count, level) => {
+            lines.push(
+                `${String(level).padStart(5)}  ${String(count).padStart(5)}  ${String(stats.loadedPerLevel[level] || 0).padStart(6)}  ${String(stats.visiblePerLevel[level] || 0).padStart(7)}`
+            );
+        });
+        this.text.text = lines.join('\n');
+    }
+
+    dispose() {
+        this.scene.onBeforeRenderObservable.remove(this.observer);
+        if (this.ownsTexture) {
+            this.advancedTexture.dispose();
+        } else {
+            this.advancedTexture.removeControl(this.panel);
+            this.panel.dispose();
+        }
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * The error reported when a tileset json, a tile content or a subtree can't be loaded, see the onError option of
+ * {@link TileLoader} and {@link OGC3DTile}.
+ */
+export class TileLoadError extends Error {
+    /**
+     * @param {string} message - the error message
+     * @param {Object} details - what failed
+     * @param {string} details.url - the url of the resource
+     * @param {string} details.type - 'http' when the server answered with an error status, 'network' when the request failed without answer, 'decode' when the content couldn't be read
+     * @param {number} [details.status] - the HTTP status of the response
+     * @param {number} [details.level] - the level of the tile the resource was loaded for
+     * @param {number} [details.retryAfter] - the time in milliseconds the server asked to wait before a new request
+     * @param {Error} [details.cause] - the original error
+     */
+    constructor(message, details) {
+        super(message, { cause: details.cause });
+        this.name = 'TileLoadError';
+        this.url = details.url;
+        this.type = details.type;
+        this.status = details.status;
+        this.level = details.level;
+        this.retryAfter = details.retryAfter;
+        // set for Google tilesets: 'apiKey' when the key is rejected, 'session' when the session of the tile expired
+        this.reason = undefined;
+        // the number of times the request was sent again before giving up
+        this.retries = 0;
+    }
+
+    /**
+     * @returns {boolean} true for network errors, server errors and 429 too many requests, which may not happen again
+     */
+    get retryable() {
+        if (this.type == 'network') return true;
+        return this.type == 'http' && (this.status >= 500 || this.status == 429);
+    }
+}
+
+/**
+ * @param {string} [header] - the Retry-After header of a response, in seconds or as a date
+ * @returns {number|undefined} the time to wait in milliseconds, undefined without a valid header
+ */
+export function parseRetryAfter(header) {
+    if (!header) return undefined;
+    if (/^\d+$/.test(header.trim())) return Number(header) * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
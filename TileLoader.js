@@ -1,5 +1,18 @@
+import { parseSubtree } from './ImplicitTiling.js';
+import { B3DMDecoder } from './B3DMDecoder.js';
+import { I3DMDecoder } from './I3DMDecoder.js';
+import { PNTSDecoder } from './PNTSDecoder.js';
+import { CMPTDecoder } from './CMPTDecoder.js';
+import { loadGLB, applyZupToYup } from './GLTFUtils.js';
+import { configureDecoders } from './DecoderConfiguration.js';
+import { TileWorkerPool } from './TileWorkerPool.js';
+import { PersistentCache } from './PersistentCache.js';
+import { RequestHandler, proxyInterceptor } from './RequestHandler.js';
+import { TileLoadError, parseRetryAfter } from './TileLoadError.js';
+
 function setIntervalAsync(fn, delay) {
     let timeout;
+    let stopped = false;
 
     const run = async () => {
         const startTime = Date.now();
@@ -8,6 +21,8 @@ function setIntervalAsync(fn, delay) {
         // } catch (err) {
         // console.error(err);
         // } finally {
+        // fn may have cleared the interval
+        if (stopped) return;
         const endTime = Date.now();
         const elapsedTime = endTime - startTime;
         const nextDelay = elapsedTime >= delay ? 0 : delay - elapsedTime;
@@ -17,20 +32,65 @@ function setIntervalAsync(fn, delay) {
 
     timeout = setTimeout(run, delay);
 
-    return { clearInterval: () => clearTimeout(timeout) };
+    return {
+        clearInterval: () => {
+            stopped = true;
+            clearTimeout(timeout);
+        },
+    };
 }
 
-async function checkLoaderInitialized(loader) {
-    return new Promise((resolve) => {
-        const interval = setInterval(() => {
-            if (loader.dracoLoader && loader.ktx2Loader) {
-                clearInterval(interval);
-                resolve();
-            }
-        }, 10); // check every 100ms
+/**
+ * @returns {TileLoadError|Error} the error as a TileLoadError, errors without status or network failure come from
+ * decoding. Abort errors are returned as is.
+ */
+function toTileLoadError(error, url, level) {
+    if (error instanceof TileLoadError || error.name === 'AbortError') return error;
+    let type = 'decode';
+    if (error.status) {
+        type = 'http';
+    } else if (error.network) {
+        type = 'network';
+    }
+    return new TileLoadError(error.message, {
+        url: url,
+        type: type,
+        status: error.status,
+        level: level,
+        retryAfter: error.retryAfter,
+        cause: error,
+    });
+}
+
+/**
+ * @returns {Promise} resolved after delay milliseconds, rejected with an AbortError if the signal aborts before
+ */
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('the request was aborted', 'AbortError'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(new DOMException('the request was aborted', 'AbortError'));
+        };
+        const timeout = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
     });
 }
 
+/**
+ * @returns {string} the key of the content in the persistent cache, without the query parameters that may hold an api
+ * key or a session
+ */
+function persistentCacheKey(url) {
+    return simplifyPath(url.split(/[?#]/)[0]);
+}
+
 function simplifyPath(main_path) {
     const parts = main_path.split('/');
     const new_path = [];
@@ -58,6 +118,97 @@ function simplifyPath(main_path) {
     return result;
 }
 
+/**
+ * Decodes the content of a tile, by format, into an asset container. The content is what the worker pool prepared for
+ * the format, or the downloaded data. The options are { url, fetchBuffer, sceneZupToYup, meshZupToYup }, fetchBuffer
+ * returning a promise of the ArrayBuffer of a url referenced by the content.
+ */
+const CONTENT_PARSERS = {
+    b3dm: (loader, content, options) =>
+        loader.b3dmDecoder.parseB3DM(content, loader.meshCallback, options.sceneZupToYup, options.meshZupToYup),
+    i3dm: (loader, content, options) =>
+        loader.i3dmDecoder.parseI3DM(
+            content,
+            options.url,
+            options.fetchBuffer,
+            loader.meshCallback,
+            options.sceneZupToYup,
+            options.meshZupToYup
+        ),
+    pnts: (loader, content) => loader.pntsDecoder.parsePNTS(content, loader.pointsCallback),
+    cmpt: (loader, content, options) =>
+        loader.cmptDecoder.parseCMPT(
+            content,
+            options.url,
+            options.fetchBuffer,
+            loader.meshCallback,
+            loader.pointsCallback,
+            options.sceneZupToYup,
+            options.meshZupToYup
+        ),
+    glb: (loader, arrayBuffer, options) =>
+        loadGLB(new Uint8Array(arrayBuffer), loader.scene, undefined, undefined, options.url).then((container) => {
+            applyZupToYup(container, options.sceneZupToYup, options.meshZupToYup);
+            container.meshes.forEach((mesh) => {
+                if (!mesh.getTotalVertices()) return;
+                if (mesh.material && mesh.material.fillMode === BABYLON.Constants.MATERIAL_PointFillMode) {
+                    if (loader.pointsCallback) loader.pointsCallback(mesh);
+                } else if (loader.meshCallback) {
+                    loader.meshCallback(mesh);
+                }
+            });
+            return container;
+        }),
+};
+
+/**
+ * @param {string} path - the url of the content
+ * @returns {string|undefined} the format of the content in {@link CONTENT_PARSERS}, json glTF is loaded as glb,
+ * undefined for json and subtrees
+ */
+function getContentFormat(path) {
+    const format = Object.keys(CONTENT_PARSERS).find((format) => path.includes('.' + format));
+    if (format) return format;
+    return path.includes('.gltf') ? 'glb' : undefined;
+}
+
+/**
+ * Estimates the memory used by content. For asset containers, GPU memory is the vertex and index buffers, thin
+ * instance buffers and textures (4 bytes per texel plus mipmaps), CPU memory is the copy of the vertex and index data
+ * babylon keeps. Other content (json, subtrees) is counted as the CPU bytes downloaded for it.
+ * @param {Object} content - the decoded content
+ * @param {number} [downloadedBytes] - the size of the downloaded data
+ * @returns {{gpuBytes: number, cpuBytes: number}} the estimated sizes in bytes
+ */
+function estimateContentSize(content, downloadedBytes) {
+    if (!(content instanceof BABYLON.AssetContainer)) {
+        return { gpuBytes: 0, cpuBytes: downloadedBytes || 0 };
+    }
+    let geometryBytes = 0;
+    content.geometries.forEach((geometry) => {
+        const vertexCount = geometry.getTotalVertices();
+        Object.values(geometry.getVertexBuffers() || {}).forEach((vertexBuffer) => {
+            geometryBytes += vertexCount * vertexBuffer.byteStride;
+        });
+        const indices = geometry.getIndices(false);
+        if (indices) {
+            geometryBytes += indices.length * (indices.BYTES_PER_ELEMENT || 4);
+        }
+    });
+    let gpuBytes = geometryBytes;
+    content.meshes.forEach((mesh) => {
+        if (mesh.thinInstanceCount) {
+            // a matrix and a batch id per instance
+            gpuBytes += mesh.thinInstanceCount * (16 + 1) * 4;
+        }
+    });
+    content.textures.forEach((texture) => {
+        const textureSize = texture.getSize();
+        gpuBytes += (textureSize.width * textureSize.height * 4 * 4) / 3;
+    });
+    return { gpuBytes: gpuBytes, cpuBytes: geometryBytes };
+}
+
 class LinkedHashMap {
     // Public properties that were on the prototype
     firstNode = null;
@@ -248,6 +399,33 @@ class LinkedHashMap {
         return existingNode.value;
     }
 
+    /**
+     * Moves an entry to the end of the iteration order, marking it as the most recently used.
+     * @returns {boolean} true if the key is in the map
+     */
+    touch(key) {
+        const node = this._nodes[key];
+        if (!node) {
+            return false;
+        }
+        if (node === this.lastNode) {
+            return true;
+        }
+
+        if (node.prev) {
+            node.prev.next = node.next;
+        } else {
+            this.firstNode = node.next;
+        }
+        node.next.prev = node.prev;
+
+        node.prev = this.lastNode;
+        node.next = null;
+        this.lastNode.next = node;
+        this.lastNode = node;
+        return true;
+    }
+
     removeAt(index) {
         const node = this._getNodeAt(index);
         if (node) {
@@ -292,184 +470,519 @@ class LinkedHashMap {
     }
 }
 
+/**
+ * A binary min-heap of entries ordered by their priority.
+ */
+class PriorityQueue {
+    constructor() {
+        this.heap = [];
+    }
+
+    size() {
+        return this.heap.length;
+    }
+
+    push(node) {
+        this.heap.push(node);
+        this.up(this.heap.length - 1);
+    }
+
+    pop() {
+        const heap = this.heap;
+        if (heap.length == 0) return undefined;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            this.down(0);
+        }
+        return top;
+    }
+
+    /**
+     * Keeps the nodes accepted by the filter and restores the heap order, after priorities changed.
+     */
+    rebuild(filter) {
+        this.heap = this.heap.filter(filter);
+        for (let i = (this.heap.length >> 1) - 1; i >= 0; i--) {
+            this.down(i);
+        }
+    }
+
+    up(index) {
+        const heap = this.heap;
+        const node = heap[index];
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].priority <= node.priority) break;
+            heap[index] = heap[parent];
+            index = parent;
+        }
+        heap[index] = node;
+    }
+
+    down(index) {
+        const heap = this.heap;
+        const node = heap[index];
+        const half = heap.length >> 1;
+        while (index < half) {
+            let child = 2 * index + 1;
+            if (child + 1 < heap.length && heap[child + 1].priority < heap[child].priority) child++;
+            if (heap[child].priority >= node.priority) break;
+            heap[index] = heap[child];
+            index = child;
+        }
+        heap[index] = node;
+    }
+}
+
+/**
+ * The queue of tile requests, used for downloads and for the delivery of loaded content.
+ *
+ * Requests without distance function (json) are served first in order of arrival. The others are kept in a heap per
+ * tileset, by distance to the camera times level, and tilesets are served in turn. Priorities are re-evaluated at
+ * most once per frame. A request is given along with the queued requests of the siblings of its tile.
+ * Requests for which isValid returns false are dropped when they reach the top of the queue or when priorities are
+ * re-evaluated, without searching for them.
+ */
+class TileQueue {
+    constructor(isValid) {
+        this.isValid = isValid || (() => true);
+        this.first = [];
+        this.heaps = new Map();
+        this.nodes = new Map(); // request by tile uuid, to find siblings
+        this.turn = 0;
+        this.length = 0;
+    }
+
+    size() {
+        return this.length;
+    }
+
+    push(request) {
+        this.length++;
+        if (!request.distanceFunction) {
+            this.first.push(request);
+            return;
+        }
+        const node = { request: request, priority: priority(request), taken: false };
+        let heap = this.heaps.get(request.tileset);
+        if (!heap) {
+            heap = new PriorityQueue();
+            this.heaps.set(request.tileset, heap);
+        }
+        heap.push(node);
+        this.nodes.set(request.uuid, node);
+    }
+
+    /**
+     * @param {boolean} [firstOnly] - only give requests without distance function
+     * @returns {Object[]} the next requests, empty when there are none
+     */
+    next(firstOnly) {
+        while (this.first.length > 0) {
+            const request = this.first.shift();
+            this.length--;
+            if (this.isValid(request)) return [request];
+        }
+        if (firstOnly || this.heaps.size == 0) return [];
+
+        const tilesets = Array.from(this.heaps.keys());
+        for (let i = 0; i < tilesets.length; i++) {
+            const tileset = tilesets[(this.turn + i) % tilesets.length];
+            const heap = this.heaps.get(tileset);
+            let node;
+            while ((node = heap.pop())) {
+                if (node.taken) continue;
+                this.take(node);
+                if (this.isValid(node.request)) break;
+            }
+            if (heap.size() == 0) this.heaps.delete(tileset);
+            if (!node) continue;
+
+            this.turn = (this.turn + i + 1) % tilesets.length;
+            const requests = [node.request];
+            const siblings = node.request.getSiblings ? node.request.getSiblings() : undefined;
+            if (siblings) {
+                siblings.forEach((tile) => {
+                    const sibling = this.nodes.get(tile.uuid);
+                    if (sibling && !sibling.taken) {
+                        // removed from its heap later, when it reaches the top
+                        this.take(sibling);
+                        if (this.isValid(sibling.request)) requests.push(sibling.request);
+                    }
+                });
+            }
+            return requests;
+        }
+        return [];
+    }
+
+    take(node) {
+        node.taken = true;
+        this.length--;
+        if (this.nodes.get(node.request.uuid) === node) {
+            this.nodes.delete(node.request.uuid);
+        }
+    }
+
+    updatePriorities() {
+        this.heaps.forEach((heap, tileset) => {
+            heap.rebuild((node) => {
+                if (node.taken) return false;
+                if (!this.isValid(node.request)) {
+                    this.take(node);
+                    return false;
+                }
+                node.priority = priority(node.request);
+                return true;
+            });
+            if (heap.size() == 0) this.heaps.delete(tileset);
+        });
+    }
+}
+
+function priority(request) {
+    return request.distanceFunction() * request.level;
+}
+
 /**
  * A Tile loader that manages caching and load order.
- * The cache is an LRU cache and is defined by the number of items it can hold.
+ * The cache is an LRU cache and is defined by the number of items it can hold. Content is marked as used when it is
+ * requested and when a tile shows it, see touch.
  * The actual number of cached items might grow beyond max if all items are in use.
  *
  * The load order is designed for optimal perceived loading speed (nearby tiles are refined first).
  *
  * @param {Object} [options] - Optional configuration object.
  * @param {number} [options.maxCachedItems=100] - the cache size.
+ * @param {number} [options.maxConcurrentDownloads=8] - the maximum number of content downloads in progress.
+ * @param {Object} [options.memoryBudget] - limits the cache by the memory its content uses, see {@link estimateContentSize}:
+ * { softLimit, hardLimit } in bytes. Above the soft limit, the least recently used content that no tile uses is
+ * disposed. Above the hard limit, 1.5 times the soft limit by default, no new tile content is downloaded until
+ * content is released.
  * @param {function} [options.meshCallback] - A callback to call on newly decoded meshes.
  * @param {function} [options.pointsCallback] - A callback to call on newly decoded points.
- * @param {renderer} [options.renderer] - The renderer, this is required for KTX2 support.
+ * @param {renderer} [options.renderer] - The renderer, its compressed texture support decides the KTX2 transcoding target.
+ * @param {Object} [options.draco] - Draco decoder urls or in memory wasm, see {@link configureDecoders}.
+ * @param {Object} [options.ktx2] - KTX2 transcoder urls and decoder options, see {@link configureDecoders}.
+ * @param {Object} [options.basis] - Basis transcoder urls, see {@link configureDecoders}.
+ * @param {Object} [options.meshopt] - EXT_meshopt_compression decoder url, see {@link configureDecoders}.
+ * @param {Object} [options.workers] - If given, content is downloaded and prepared in a pool of web workers: { size, meshoptDecoderUrl, workerUrl }, see {@link TileWorkerPool}.
+ * @param {Object} [options.persistentCache] - If given, downloaded content is kept across sessions: a {@link PersistentCache}, which may be shared, or its options.
  * @param {object} [options.scene] - The scene to load the tiles into.
+ * @param {boolean} [options.renderLoop=true] - With a scene, downloads are started and loaded content is given to the
+ * tiles before every frame of the scene. Without scene, or when false, timers do it every 10ms.
+ * @param {number} [options.frameBudget=4] - The time in milliseconds spent giving loaded content to the tiles per frame,
+ * or per timer tick. At least one content is given each time.
+ * @param {function[]} [options.interceptors] - Request interceptors, to add headers, authorize, retry or rewrite urls, see {@link RequestHandler}.
+ * @param {RequestHandler} [options.requestHandler] - A request handler, which may be shared, used instead of the interceptors and proxy options.
+ * @param {Object|boolean} [options.retry] - Requests failing with a network error, a server error or 429 are sent again
+ * after a delay that doubles each time: { maxRetries = 3, baseDelay = 500, maxDelay = 10000 }, delays in milliseconds.
+ * A Retry-After header is honoured. False disables retries.
+ * @param {function} [options.onError] - Called with a {@link TileLoadError} when a content can't be loaded and no
+ * requesting tile has an error callback, errors are logged to the console without it.
  * @param {string} [options.proxy] - An optional proxy that tile requests will be directed too as POST requests with the actual tile url in the body of the request.
+ *
+ * Observables:
+ * - onContentLoadedObservable: notified with { url, content } when downloaded content has been decoded and cached.
+ * - onLoadErrorObservable: notified with { url, error } when a download, after its retries, or decoding fails, error
+ *   being a {@link TileLoadError}. Aborted requests are not reported.
+ * - onBudgetExceededObservable: notified with { bytes, softLimit, hardLimit, hardLimitExceeded } when the cache stays
+ *   above a limit of the memory budget because all its content is in use.
  */
 export class TileLoader {
     constructor(options) {
         this.maxCachedItems = 100;
-        this.proxy = options.proxy;
+        this.retry = { maxRetries: 3, baseDelay: 500, maxDelay: 10000 };
+        this.renderLoop = true;
+        this.frameBudget = 4;
         if (options) {
             this.meshCallback = options.meshCallback;
             this.pointsCallback = options.pointsCallback;
             if (options.maxCachedItems) this.maxCachedItems = options.maxCachedItems;
+            if (options.memoryBudget) {
+                this.memoryBudget = {
+                    softLimit: options.memoryBudget.softLimit,
+                    hardLimit:
+                        options.memoryBudget.hardLimit !== undefined
+                            ? options.memoryBudget.hardLimit
+                            : options.memoryBudget.softLimit * 1.5,
+                };
+            }
 
             if (options && options.scene) {
                 this.scene = options.scene;
             }
+            if (options.renderLoop === false) this.renderLoop = false;
+            if (options.frameBudget !== undefined) this.frameBudget = options.frameBudget;
+            if (options.retry === false) {
+                this.retry.maxRetries = 0;
+            } else if (options.retry) {
+                Object.assign(this.retry, options.retry);
+            }
+            this.onError = options.onError;
         }
 
-        // this.gltfLoader = new GLTFLoader();
-        // const dracoLoader = new DRACOLoader();
-        // dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.4.3/');
-        // this.gltfLoader.setDRACOLoader(dracoLoader);
-
-        // if (options && options.renderer) {
-        //     const ktx2Loader = new KTX2Loader();
-        //     ktx2Loader.setTranscoderPath('https://storage.googleapis.com/ogc-3d-tiles/basis/').detectSupport(options.renderer);
-        //     this.gltfLoader.setKTX2Loader(ktx2Loader);
-
-        //     this.b3dmDecoder = new B3DMDecoder(options.renderer);
-        // } else {
-        //     this.b3dmDecoder = new B3DMDecoder(null);
-        // }
+        // the compressed texture formats of the renderer, undefined without renderer
+        this.textureSupport = configureDecoders(options);
+        if (options && options.workers) {
+            this.workerPool = new TileWorkerPool(options.workers);
+        }
+        if (options && options.requestHandler) {
+            this.requestHandler = options.requestHandler;
+        } else {
+            const interceptors = options && options.interceptors ? [...options.interceptors] : [];
+            if (options && options.proxy) interceptors.push(proxyInterceptor(options.proxy));
+            this.requestHandler = new RequestHandler({ interceptors: interceptors });
+        }
+        if (options && options.persistentCache) {
+            this.persistentCache =
+                options.persistentCache instanceof PersistentCache
+                    ? options.persistentCache
+                    : new PersistentCache(options.persistentCache);
+        }
+        this.b3dmDecoder = new B3DMDecoder(this.scene);
+        this.i3dmDecoder = new I3DMDecoder(this.scene);
+        this.pntsDecoder = new PNTSDecoder(this.scene);
+        this.cmptDecoder = new CMPTDecoder(this.scene, {
+            b3dm: this.b3dmDecoder,
+            i3dm: this.i3dmDecoder,
+            pnts: this.pntsDecoder,
+        });
 
         this.cache = new LinkedHashMap();
         this.register = {};
 
-        this.ready = [];
-        this.downloads = [];
-        this.nextReady = [];
+        this.onContentLoadedObservable = new BABYLON.Observable();
+        this.onLoadErrorObservable = new BABYLON.Observable();
+        this.onBudgetExceededObservable = new BABYLON.Observable();
+
+        // the estimated memory used by the cached content, per key and in total
+        this.contentSizes = {};
+        this.gpuBytes = 0;
+        this.cpuBytes = 0;
+        // undefined, 'soft' or 'hard', the limit of the memory budget the cache is above
+        this.budgetExceeded = undefined;
+
+        // counters reported by getStats, times are in milliseconds
+        this.stats = {
+            activeDownloads: 0,
+            downloads: 0,
+            failedLoads: 0,
+            retries: 0,
+            cacheHits: 0,
+            persistentCacheHits: 0,
+            bytesDownloaded: 0,
+            downloadTime: 0,
+            parses: 0,
+            parseTime: 0,
+            loadedPerLevel: [],
+        };
+
+        this.maxConcurrentDownloads =
+            options && options.maxConcurrentDownloads > 0 ? options.maxConcurrentDownloads : 8;
+        this.concurrentDownloads = 0;
+        this.ready = new TileQueue();
+        this.downloads = new TileQueue((download) => download.shouldDoDownload());
         this.nextDownloads = [];
+        this.nextReady = [];
+        this.priorityFrame = undefined;
         this.init();
     }
 
     init() {
         const self = this;
-        setIntervalAsync(() => {
-            self.download();
-        }, 10);
-        setIntervalAsync(() => {
-            const start = Date.now();
-            let loaded = 0;
-            do {
-                loaded = self.loadBatch();
-            } while (loaded > 0 && Date.now() - start <= 0);
-        }, 10);
+        if (this.scene && this.renderLoop) {
+            this.beforeRenderObserver = this.scene.onBeforeRenderObservable.add(() => {
+                self.update();
+            });
+        } else {
+            this.intervals = [
+                setIntervalAsync(() => {
+                    self.download();
+                }, 10),
+                setIntervalAsync(() => {
+                    self.loadReady();
+                }, 10),
+            ];
+        }
+    }
+
+    /**
+     * Starts downloads and gives loaded content to the tiles, called before every frame or by timers, see the renderLoop
+     * option.
+     */
+    update() {
+        this.download();
+        this.loadReady();
+    }
+
+    /**
+     * Gives loaded content to the tiles until the queue is empty or the frame budget is spent.
+     */
+    loadReady() {
+        const start = performance.now();
+        let loaded = 0;
+        do {
+            loaded = this.loadBatch();
+        } while (loaded > 0 && performance.now() - start < this.frameBudget);
     }
 
     scheduleDownload(f) {
-        this.downloads.unshift(f);
+        this.downloads.push(f);
+    }
+
+    /**
+     * Re-evaluates the priority of queued requests, once per frame, or every 16ms without scene.
+     */
+    updatePriorities() {
+        const frame = this.scene ? this.scene.getFrameId() : Math.floor(performance.now() / 16);
+        if (frame === this.priorityFrame) return;
+        this.priorityFrame = frame;
+        this.downloads.updatePriorities();
+        this.ready.updatePriorities();
     }
 
     download() {
-        if (this.nextDownloads.length == 0) {
-            this.getNextDownloads();
-            if (this.nextDownloads.length == 0) return;
-        }
-        while (this.nextDownloads.length > 0) {
-            const nextDownload = this.nextDownloads.shift();
-            if (nextDownload && nextDownload.shouldDoDownload()) {
-                nextDownload.doDownload();
+        const self = this;
+        if (this.budgetExceeded) {
+            // tiles may have released content since the last check
+            this.checkSize();
+        }
+        this.updatePriorities();
+        while (this.concurrentDownloads < this.maxConcurrentDownloads) {
+            if (this.nextDownloads.length == 0) {
+                // json keeps being loaded above the hard limit of the memory budget, the tree can still be updated
+                this.nextDownloads = this.downloads.next(this.budgetExceeded == 'hard');
+                if (this.nextDownloads.length == 0) return;
             }
+            // siblings that don't fit start first when downloads end
+            const download = this.nextDownloads.shift();
+            if (!download.shouldDoDownload()) continue;
+            this.concurrentDownloads++;
+            Promise.resolve(download.doDownload()).finally(() => {
+                self.concurrentDownloads--;
+            });
         }
-        return;
     }
-    meshReceived(cache, register, key, distanceFunction, getSiblings, level, uuid) {
-        this.ready.unshift([cache, register, key, distanceFunction, getSiblings, level, uuid]);
+    meshReceived(cache, register, key, distanceFunction, getSiblings, level, uuid, tileset) {
+        this.ready.push({
+            cache: cache,
+            register: register,
+            key: key,
+            distanceFunction: distanceFunction,
+            getSiblings: getSiblings,
+            level: level,
+            uuid: uuid,
+            tileset: tileset,
+        });
     }
     loadBatch() {
         if (this.nextReady.length == 0) {
-            this.getNextReady();
+            this.updatePriorities();
+            this.nextReady = this.ready.next();
             if (this.nextReady.length == 0) return 0;
         }
         const data = this.nextReady.shift();
-        if (!data) return 0;
-        const cache = data[0];
-        const register = data[1];
-        const key = data[2];
+        const cache = data.cache;
+        const register = data.register;
+        const key = data.key;
         const mesh = cache.get(key);
 
         if (mesh && register[key]) {
             Object.keys(register[key]).forEach((tile) => {
-                const callback = register[key][tile];
-                if (callback) {
-                    callback(mesh);
+                const registration = register[key][tile];
+                if (registration) {
+                    // the tile keeps its entry, which marks the content as in use, until it invalidates it
                     register[key][tile] = null;
+                    registration.callback(mesh);
                 }
             });
         }
         return 1;
     }
 
-    getNextDownloads() {
-        let smallestDistance = Number.MAX_VALUE;
-        let closest = -1;
-        for (let i = this.downloads.length - 1; i >= 0; i--) {
-            if (!this.downloads[i].shouldDoDownload()) {
-                this.downloads.splice(i, 1);
-                continue;
-            }
-            if (!this.downloads[i].distanceFunction) {
-                // if no distance function, must be a json, give absolute priority!
-                this.nextDownloads.push(this.downloads.splice(i, 1)[0]);
-            }
+    contentLoaded(key, path, content, level, downloadedBytes) {
+        if (this.disposed) {
+            // the download ended after the loader was disposed
+            if (typeof content.dispose === 'function') content.dispose();
+            return;
         }
-        if (this.nextDownloads.length > 0) return;
-        for (let i = this.downloads.length - 1; i >= 0; i--) {
-            const dist = this.downloads[i].distanceFunction() * this.downloads[i].level;
-            if (dist < smallestDistance) {
-                smallestDistance = dist;
-                closest = i;
-            }
+        if (level !== undefined) {
+            this.stats.loadedPerLevel[level] = (this.stats.loadedPerLevel[level] || 0) + 1;
         }
-        if (closest >= 0) {
-            const closestItem = this.downloads.splice(closest, 1).pop();
-            this.nextDownloads.push(closestItem);
-
-            const siblings = closestItem.getSiblings();
+        const size = estimateContentSize(content, downloadedBytes);
+        this.contentSizes[key] = size;
+        this.gpuBytes += size.gpuBytes;
+        this.cpuBytes += size.cpuBytes;
+        this.cache.put(key, content);
+        this.checkSize();
+        this.onContentLoadedObservable.notifyObservers({ url: path, content: content });
+    }
 
-            if (siblings && siblings.length > 0) {
-                for (let i = this.downloads.length - 1; i >= 0; i--) {
-                    if (siblings.find((tile) => tile.uuid == this.downloads[i].uuid)) {
-                        this.nextDownloads.push(this.downloads.splice(i, 1).pop());
-                    }
-                }
-            }
-        }
+    /**
+     * Calls a decoding function and records the time it takes.
+     * @param {function} parse - returns the decoded content or a promise of it
+     * @returns {Promise} the decoded content
+     */
+    timeParse(parse) {
+        const self = this;
+        const start = performance.now();
+        return Promise.resolve(parse()).then((content) => {
+            self.stats.parses++;
+            self.stats.parseTime += performance.now() - start;
+            return content;
+        });
     }
 
-    getNextReady() {
-        let smallestDistance = Number.MAX_VALUE;
-        let closest = -1;
-        for (let i = this.ready.length - 1; i >= 0; i--) {
-            if (!this.ready[i][3]) {
-                // if no distance function, must be a json, give absolute priority!
-                this.nextReady.push(this.ready.splice(i, 1)[0]);
-            }
-        }
-        if (this.nextReady.length > 0) return;
-        for (let i = this.ready.length - 1; i >= 0; i--) {
-            const dist = this.ready[i][3]() * this.ready[i][5];
-            if (dist < smallestDistance) {
-                smallestDistance = dist;
-                closest = i;
-            }
+    loadFailed(key, path, error, level) {
+        if (error && error.name === 'AbortError') {
+            // the tiles that requested the content were disposed
+            return;
         }
-        if (closest >= 0) {
-            const closestItem = this.ready.splice(closest, 1).pop();
-            this.nextReady.push(closestItem);
-            const siblings = closestItem[4]();
-            for (let i = this.ready.length - 1; i >= 0; i--) {
-                if (siblings.includes(this.ready[i][6])) {
-                    this.nextReady.push(this.ready.splice(i, 1).pop());
+        error = toTileLoadError(error, path, level);
+        this.stats.failedLoads++;
+        this.onLoadErrorObservable.notifyObservers({ url: path, error: error });
+
+        const registrations = this.register[key];
+        // forget about the failed request so that the content can be requested again
+        delete this.register[key];
+        let handled = false;
+        if (registrations) {
+            Object.keys(registrations).forEach((tile) => {
+                const registration = registrations[tile];
+                if (registration && registration.errorCallback) {
+                    registration.errorCallback(error);
+                    handled = true;
                 }
-            }
+            });
+        }
+        // the tiles report the errors they are given
+        if (handled) return;
+        if (this.onError) {
+            this.onError(error);
+        } else {
+            console.error(error);
         }
     }
 
+    /**
+     * Requests content, the callback is called with the decoded content once it is loaded or found in the cache.
+     * Json is given absolute priority, other content is loaded by increasing distance times level, see {@link TileQueue}.
+     * @param {AbortController} abortController - aborts the request when no other tile needs the content
+     * @param {string} tileIdentifier - the uuid of the requesting tile
+     * @param {string} path - the url of a b3dm, i3dm, pnts, cmpt, glb, gltf, json or subtree file
+     * @param {function} callback - called with the decoded content
+     * @param {function} [distanceFunction] - returns the distance of the tile to the camera, used to prioritise
+     * @param {function} [getSiblings] - returns the tiles loaded along with the requesting tile
+     * @param {number} [level] - the level of the requesting tile
+     * @param {boolean} [sceneZupToYup] - true if the content is z-up, it is rotated as a whole, (x, y, z) -> (x, z, -y). glTF content is y-up and needs no conversion
+     * @param {boolean} [meshZupToYup] - true if every mesh is z-up in its own frame, the geometry is rotated
+     * @param {number} [geometricError] - the geometric error of the requesting tile
+     * @param {function} [errorCallback] - called with the error when the content fails to load
+     * @param {string} [tilesetIdentifier] - identifies the tileset of the requesting tile, tilesets sharing the loader are served in turn
+     */
     get(
         abortController,
         tileIdentifier,
@@ -480,7 +993,9 @@ export class TileLoader {
         level,
         sceneZupToYup,
         meshZupToYup,
-        geometricError
+        geometricError,
+        errorCallback,
+        tilesetIdentifier
     ) {
         const self = this;
         const key = simplifyPath(path);
@@ -492,8 +1007,19 @@ export class TileLoader {
             }
         });
 
-        if (!path.includes('.b3dm') && !path.includes('.json') && !path.includes('.gltf') && !path.includes('.glb')) {
-            console.error('the 3DTiles cache can only be used to load B3DM, gltf and json data');
+        if (
+            !path.includes('.b3dm') &&
+            !path.includes('.i3dm') &&
+            !path.includes('.pnts') &&
+            !path.includes('.cmpt') &&
+            !path.includes('.json') &&
+            !path.includes('.gltf') &&
+            !path.includes('.glb') &&
+            !path.includes('.subtree')
+        ) {
+            console.error(
+                'the 3DTiles cache can only be used to load B3DM, I3DM, PNTS, CMPT, gltf, json and subtree data'
+            );
             return;
         }
         if (!self.register[key]) {
@@ -502,171 +1028,167 @@ export class TileLoader {
         if (self.register[key][tileIdentifier]) {
             console.error(' a tile should only be loaded once');
         }
-        self.register[key][tileIdentifier] = callback;
+        self.register[key][tileIdentifier] = { callback: callback, errorCallback: errorCallback };
 
         const cachedObject = self.cache.get(key);
         if (cachedObject) {
-            console.log('using cache');
-            this.meshReceived(self.cache, self.register, key, distanceFunction, getSiblings, level, tileIdentifier);
+            self.stats.cacheHits++;
+            self.cache.touch(key);
+            this.meshReceived(
+                self.cache,
+                self.register,
+                key,
+                distanceFunction,
+                getSiblings,
+                level,
+                tileIdentifier,
+                tilesetIdentifier
+            );
         } else if (Object.keys(self.register[key]).length == 1) {
+            // used for tiles, subtrees and the external buffers they reference. Resolves to { buffer, byteLength },
+            // or { json, byteLength } and { content, byteLength } when the json or a tile format is requested from
+            // the worker pool
+            let downloadedBytes = 0;
+            // prepares downloaded or persisted data in a worker, the json is parsed, meshopt decoded and the tiles read
+            // there
+            const prepareContent = (url, format, result) => {
+                if (!self.workerPool) return result;
+                return self.workerPool.request(url, {
+                    format: format,
+                    buffer: result.buffer,
+                    signal: realAbortController.signal,
+                });
+            };
+            const downloadContent = (url, format, persistentKey) => {
+                // without interceptors, the workers download the content themselves
+                const inWorker = self.workerPool && self.requestHandler.isDefault();
+                let request;
+                if (inWorker) {
+                    request = self.retryRequest(
+                        () =>
+                            self.workerPool
+                                .request(url, {
+                                    format: format,
+                                    signal: realAbortController.signal,
+                                    raw: !!persistentKey,
+                                })
+                                .catch((error) => {
+                                    throw toTileLoadError(error, url, level);
+                                }),
+                        realAbortController.signal
+                    );
+                } else {
+                    request = self.request(url, { signal: realAbortController.signal }, level).then((result) => {
+                        return result.arrayBuffer().then((arrayBuffer) => {
+                            return {
+                                buffer: arrayBuffer,
+                                byteLength: arrayBuffer.byteLength,
+                                cacheControl: result.headers.get('Cache-Control'),
+                                expires: result.headers.get('Expires'),
+                            };
+                        });
+                    });
+                }
+                const start = performance.now();
+                self.stats.activeDownloads++;
+                return request
+                    .then((result) => {
+                        self.stats.downloads++;
+                        self.stats.bytesDownloaded += result.byteLength;
+                        self.stats.downloadTime += performance.now() - start;
+                        if (persistentKey) {
+                            self.persistentCache.put(persistentKey, result.raw || result.buffer, result);
+                        }
+                        return inWorker ? result : prepareContent(url, format, result);
+                    })
+                    .finally(() => {
+                        self.stats.activeDownloads--;
+                    });
+            };
+            const fetchContent = (url, format) => {
+                let request;
+                if (!self.persistentCache) {
+                    request = downloadContent(url, format);
+                } else {
+                    const persistentKey = persistentCacheKey(url);
+                    request = self.persistentCache.get(persistentKey).then((buffer) => {
+                        if (!buffer) return downloadContent(url, format, persistentKey);
+                        self.stats.persistentCacheHits++;
+                        return prepareContent(url, format, { buffer: buffer, byteLength: buffer.byteLength });
+                    });
+                }
+                return request.then((result) => {
+                    downloadedBytes += result.byteLength;
+                    return result;
+                });
+            };
+            const fetchBuffer = (url) => fetchContent(url).then((result) => result.buffer);
+            // the tile data, or what the worker pool prepared of it for the decoder of the format
+            const fetchTile = (format) => fetchContent(path, format).then((result) => result.content || result.buffer);
             let downloadFunction;
-            if (path.includes('.b3dm')) {
+            const format = getContentFormat(path);
+            if (format) {
+                const options = {
+                    url: path,
+                    fetchBuffer: fetchBuffer,
+                    sceneZupToYup: sceneZupToYup,
+                    meshZupToYup: meshZupToYup,
+                };
                 downloadFunction = () => {
-                    let fetchFunction;
-                    if (!self.proxy) {
-                        fetchFunction = () => {
-                            return fetch(path, { signal: realAbortController.signal });
-                        };
-                    } else {
-                        fetchFunction = () => {
-                            return fetch(self.proxy, {
-                                method: 'POST',
-                                body: path,
-                                signal: realAbortController.signal,
-                            });
-                        };
-                    }
-                    fetchFunction()
-                        .then((result) => {
-                            if (!result.ok) {
-                                console.error('could not load tile with path : ' + path);
-                                throw new Error(
-                                    `couldn't load "${path}". Request failed with status ${result.status} : ${result.statusText}`
-                                );
-                            }
-                            return result.arrayBuffer();
-                        })
-                        .then((resultArrayBuffer) => {
-                            return this.b3dmDecoder.parseB3DM(
-                                resultArrayBuffer,
-                                self.meshCallback,
-                                sceneZupToYup,
-                                meshZupToYup
-                            );
+                    return fetchTile(format)
+                        .then((content) => {
+                            return self.timeParse(() => CONTENT_PARSERS[format](self, content, options));
                         })
-                        .then((mesh) => {
-                            self.cache.put(key, mesh);
-                            self.checkSize();
-                            this.meshReceived(
+                        .then((container) => {
+                            self.contentLoaded(key, path, container, level, downloadedBytes);
+                            self.meshReceived(
                                 self.cache,
                                 self.register,
                                 key,
                                 distanceFunction,
                                 getSiblings,
                                 level,
-                                tileIdentifier
+                                tileIdentifier,
+                                tilesetIdentifier
                             );
                         })
                         .catch((e) => {
-                            console.error(e);
+                            self.loadFailed(key, path, e, level);
                         });
                 };
-            } else if (path.includes('.glb') || path.includes('.gltf')) {
+            } else if (path.includes('.json')) {
                 downloadFunction = () => {
-                    let fetchFunction;
-                    if (!self.proxy) {
-                        fetchFunction = () => {
-                            return fetch(path, { signal: realAbortController.signal });
-                        };
-                    } else {
-                        fetchFunction = () => {
-                            return fetch(self.proxy, {
-                                method: 'POST',
-                                body: path,
-                                signal: realAbortController.signal,
-                            });
-                        };
-                    }
-                    fetchFunction()
+                    return fetchContent(path, 'json')
                         .then((result) => {
-                            if (!result.ok) {
-                                console.error('could not load tile with path : ' + path);
-                                throw new Error(
-                                    `couldn't load "${path}". Request failed with status ${result.status} : ${result.statusText}`
-                                );
-                            }
-                            return result.arrayBuffer();
-                        })
-                        .then(async (arrayBuffer) => {
-                            // await checkLoaderInitialized(this.gltfLoader);
-                            // this.gltfLoader.parse(arrayBuffer, null, gltf => {
-                            //     gltf.scene.asset = gltf.asset;
-                            //     if (sceneZupToYup) {
-                            //         gltf.scene.applyMatrix4(zUpToYUpMatrix);
-                            //     }
-                            //     gltf.scene.traverse((o) => {
-
-                            //         if (o.isMesh) {
-                            //             if (meshZupToYup) {
-                            //                 o.applyMatrix4(zUpToYUpMatrix);
-                            //             }
-                            //             if (self.meshCallback) {
-                            //                 self.meshCallback(o);
-                            //             }
-                            //         }
-                            //         if (o.isPoints) {
-
-                            //             if (self.pointsCallback) {
-                            //                 self.pointsCallback(o);
-                            //             }
-                            //         }
-                            //     });
-                            const assetBlob = new Blob([arrayBuffer]);
-                            const assetUrl = URL.createObjectURL(assetBlob);
-                            BABYLON.LoadAssetContainerAsync(assetUrl, self.scene, { pluginExtension: '.glb' }).then(
-                                (container) => {
-                                    self.cache.put(key, container);
-                                    self.checkSize();
-                                    self.meshReceived(
-                                        self.cache,
-                                        self.register,
-                                        key,
-                                        distanceFunction,
-                                        getSiblings,
-                                        level,
-                                        tileIdentifier
-                                    );
-                                    console.log('downloaded:' + level);
+                            return self.timeParse(() => {
+                                const json = result.json || JSON.parse(new TextDecoder().decode(result.buffer));
+                                if (json.tileAvailability) {
+                                    // json subtree of an implicit tileset
+                                    return parseSubtree(json, path, fetchBuffer);
                                 }
-                            );
+                                return json;
+                            });
+                        })
+                        .then((json) => {
+                            self.contentLoaded(key, path, json, level, downloadedBytes);
+                            self.meshReceived(self.cache, self.register, key);
                         })
                         .catch((e) => {
-                            console.error(e);
+                            self.loadFailed(key, path, e, level);
                         });
                 };
-            } else if (path.includes('.json')) {
+            } else if (path.includes('.subtree')) {
                 downloadFunction = () => {
-                    let fetchFunction;
-                    if (!self.proxy) {
-                        fetchFunction = () => {
-                            return fetch(path, { signal: realAbortController.signal });
-                        };
-                    } else {
-                        fetchFunction = () => {
-                            return fetch(self.proxy, {
-                                method: 'POST',
-                                body: path,
-                                signal: realAbortController.signal,
-                            });
-                        };
-                    }
-                    fetchFunction()
-                        .then((result) => {
-                            if (!result.ok) {
-                                console.error('could not load tile with path : ' + path);
-                                throw new Error(
-                                    `couldn't load "${path}". Request failed with status ${result.status} : ${result.statusText}`
-                                );
-                            }
-                            return result.json();
+                    return fetchBuffer(path)
+                        .then((arrayBuffer) => {
+                            return self.timeParse(() => parseSubtree(arrayBuffer, path, fetchBuffer));
                         })
-                        .then((json) => {
-                            self.cache.put(key, json);
-                            self.checkSize();
+                        .then((subtree) => {
+                            self.contentLoaded(key, path, subtree, level, downloadedBytes);
                             self.meshReceived(self.cache, self.register, key);
                         })
                         .catch((e) => {
-                            console.error(e);
+                            self.loadFailed(key, path, e, level);
                         });
                 };
             }
@@ -683,10 +1205,115 @@ export class TileLoader {
                 getSiblings: getSiblings,
                 level: level,
                 uuid: tileIdentifier,
+                tileset: tilesetIdentifier,
             });
         }
     }
 
+    /**
+     * @returns {Object} the state of the download queue and cache, the amount of data downloaded and the average
+     * download and parse times in milliseconds, the estimated memory used by the cache in bytes, the persistent cache
+     * entries and size. loadedPerLevel[level] is the number of tiles loaded for that level.
+     */
+    getStats() {
+        const stats = this.stats;
+        return {
+            queuedDownloads: this.downloads.size() + this.nextDownloads.length,
+            activeDownloads: stats.activeDownloads,
+            queuedDecodes: this.ready.size() + this.nextReady.length,
+            cachedItems: this.cache.size(),
+            maxCachedItems: this.maxCachedItems,
+            cachedBytes: this.gpuBytes + this.cpuBytes,
+            gpuBytes: this.gpuBytes,
+            cpuBytes: this.cpuBytes,
+            softLimit: this.memoryBudget ? this.memoryBudget.softLimit : undefined,
+            hardLimit: this.memoryBudget ? this.memoryBudget.hardLimit : undefined,
+            downloads: stats.downloads,
+            failedLoads: stats.failedLoads,
+            retries: stats.retries,
+            cacheHits: stats.cacheHits,
+            persistentCacheHits: stats.persistentCacheHits,
+            persistentCache: this.persistentCache ? this.persistentCache.getStats() : undefined,
+            bytesDownloaded: stats.bytesDownloaded,
+            averageDownloadTime: stats.downloads > 0 ? stats.downloadTime / stats.downloads : 0,
+            averageParseTime: stats.parses > 0 ? stats.parseTime / stats.parses : 0,
+            loadedPerLevel: Array.from(stats.loadedPerLevel, (count) => count || 0),
+        };
+    }
+
+    /**
+     * Marks content as recently used, it is then evicted after the content that was used before.
+     * @param {string} path - the url of the content
+     */
+    touch(path) {
+        this.cache.touch(simplifyPath(path));
+    }
+
+    /**
+     * Sends a request through the interceptors of the loader, and again after transient failures, see the retry
+     * option. Used for the requests of get and for requests made outside of it.
+     * @param {string} url - the url of the resource
+     * @param {Object} [init] - the fetch options
+     * @param {number} [level] - the level of the tile the resource is requested for, reported in errors
+     * @returns {Promise<Response>} the successful response, rejected with a {@link TileLoadError} or an AbortError
+     */
+    request(url, init = {}, level) {
+        const self = this;
+        return this.retryRequest(() => self.sendRequest(url, init, level), init.signal);
+    }
+
+    sendRequest(url, init, level) {
+        return this.requestHandler.request(url, init).then(
+            (response) => {
+                if (!response.ok) {
+                    throw new TileLoadError(
+                        `couldn't load "${url}". Request failed with status ${response.status} : ${response.statusText}`,
+                        {
+                            url: url,
+                            type: 'http',
+                            status: response.status,
+                            level: level,
+                            retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+                        }
+                    );
+                }
+                return response;
+            },
+            (error) => {
+                if (error.name === 'AbortError') throw error;
+                throw new TileLoadError(`couldn't load "${url}". ${error.message}`, {
+                    url: url,
+                    type: 'network',
+                    level: level,
+                    cause: error,
+                });
+            }
+        );
+    }
+
+    /**
+     * Calls request until it succeeds, fails with an error that isn't retryable or the retries are exhausted. The delay
+     * between calls doubles every time, with jitter so that the tiles that failed together aren't requested together.
+     * @param {function} request - returns a promise, rejected with a {@link TileLoadError} on failure
+     * @param {AbortSignal} [signal] - stops waiting for the next call
+     * @param {number} [retries] - the number of retries already made
+     * @returns {Promise} the result of the last call
+     */
+    retryRequest(request, signal, retries = 0) {
+        const self = this;
+        return request().catch((error) => {
+            if (!(error instanceof TileLoadError)) throw error;
+            if (!error.retryable || retries >= self.retry.maxRetries || (signal && signal.aborted)) {
+                error.retries = retries;
+                throw error;
+            }
+            self.stats.retries++;
+            const backoff = Math.min(self.retry.maxDelay, self.retry.baseDelay * Math.pow(2, retries));
+            const delay = Math.max(error.retryAfter || 0, backoff * (0.5 + Math.random() / 2));
+            return wait(delay, signal).then(() => self.retryRequest(request, signal, retries + 1));
+        });
+    }
+
     invalidate(path, tileIdentifier) {
         const key = simplifyPath(path);
         if (this.register[key]) {
@@ -694,66 +1321,102 @@ export class TileLoader {
         }
     }
 
+    /**
+     * Disposes the least recently used content that no tile uses until the cache is within maxCachedItems and the soft
+     * limit of the memory budget, then reports when the budget can't be met.
+     */
     checkSize() {
         const self = this;
-
-        let i = 0;
-
-        const cacheSize = self.cache.size();
-        let sizeToRemove = cacheSize - self.maxCachedItems;
-        const entryToRemove = [];
-        if (sizeToRemove > 0) {
-            self.cache.each(function (entry) {
-                const reg = self.register[entry.key];
-                if (reg) {
-                    if (sizeToRemove > 0 && Object.keys(reg).length == 0) {
-                        entryToRemove.push(entry);
-                        sizeToRemove--;
-                    }
+        const softLimit = self.memoryBudget ? self.memoryBudget.softLimit : Number.POSITIVE_INFINITY;
+        let size = self.cache.size();
+        let bytes = self.gpuBytes + self.cpuBytes;
+
+        if (size > self.maxCachedItems || bytes > softLimit) {
+            const keysToRemove = [];
+            self.cache.each(function (value, key) {
+                if (size <= self.maxCachedItems && bytes <= softLimit) return true;
+                const reg = self.register[key];
+                if (!reg || Object.keys(reg).length == 0) {
+                    keysToRemove.push(key);
+                    size--;
+                    bytes -= self.getContentBytes(key);
                 }
             });
+            keysToRemove.forEach((key) => self.evict(key));
+        }
 
-            entryToRemove.forEach((entry) => {
-                self.cache.remove(entry.key);
-                delete self.register[entry.key];
-                entry.value.dispose();
-            });
+        let budgetExceeded;
+        if (self.memoryBudget) {
+            bytes = self.gpuBytes + self.cpuBytes;
+            if (bytes > self.memoryBudget.hardLimit) {
+                budgetExceeded = 'hard';
+            } else if (bytes > self.memoryBudget.softLimit) {
+                budgetExceeded = 'soft';
+            }
+            if (budgetExceeded && budgetExceeded != self.budgetExceeded) {
+                self.onBudgetExceededObservable.notifyObservers({
+                    bytes: bytes,
+                    softLimit: self.memoryBudget.softLimit,
+                    hardLimit: self.memoryBudget.hardLimit,
+                    hardLimitExceeded: budgetExceeded == 'hard',
+                });
+            }
         }
+        self.budgetExceeded = budgetExceeded;
+    }
 
-        // while (self.cache.size() > self.maxCachedItems && i < self.cache.size()) {
-        //     i++;
-        //     const entry = self.cache.head();
-        //     const reg = self.register[entry.key];
-        //     if (reg) {
-        //         if (Object.keys(reg).length > 0) {
-        //             self.cache.remove(entry.key);
-        //             self.cache.put(entry.key, entry.value);
-        //         } else {
-        //             self.cache.remove(entry.key);
-        //             delete self.register[entry.key];
-        //             entry.value.dispose();
-        //             // entry.value.traverse((o) => {
-
-        //             //     if (o.material) {
-        //             //         // dispose materials
-        //             //         if (o.material.length) {
-        //             //             for (let i = 0; i < o.material.length; ++i) {
-        //             //                 o.material[i].dispose();
-        //             //             }
-        //             //         }
-        //             //         else {
-        //             //             o.material.dispose()
-        //             //         }
-        //             //     }
-        //             //     if (o.geometry) {
-        //             //         // dispose geometry
-        //             //         o.geometry.dispose();
-
-        //             //     }
-        //             // });
-        //         }
-        //     }
+    getContentBytes(key) {
+        const size = this.contentSizes[key];
+        return size ? size.gpuBytes + size.cpuBytes : 0;
+    }
 
-        // }
+    evict(key) {
+        const content = this.cache.get(key);
+        this.cache.remove(key);
+        delete this.register[key];
+        const size = this.contentSizes[key];
+        if (size) {
+            this.gpuBytes -= size.gpuBytes;
+            this.cpuBytes -= size.cpuBytes;
+            delete this.contentSizes[key];
+        }
+        // json and subtrees have nothing to dispose
+        if (content && typeof content.dispose === 'function') {
+            content.dispose();
+        }
+    }
+
+    /**
+     * Stops loading, disposes the cached content and the worker pool. The persistent cache is kept. The tiles using the loader must be disposed
+     * before.
+     */
+    dispose() {
+        const self = this;
+        this.disposed = true;
+        if (this.beforeRenderObserver) {
+            this.scene.onBeforeRenderObservable.remove(this.beforeRenderObserver);
+            this.beforeRenderObserver = undefined;
+        }
+        if (this.intervals) {
+            this.intervals.forEach((interval) => interval.clearInterval());
+            this.intervals = undefined;
+        }
+        if (this.workerPool) {
+            this.workerPool.dispose();
+            this.workerPool = undefined;
+        }
+        this.downloads = new TileQueue((download) => download.shouldDoDownload());
+        this.ready = new TileQueue();
+        this.nextDownloads = [];
+        this.nextReady = [];
+        this.cache.getAllKeys().forEach((key) => self.evict(key));
+        this.register = {};
+        if (this.persistentCache) {
+            // the index changes of the last second
+            this.persistentCache.flush();
+        }
+        this.onContentLoadedObservable.clear();
+        this.onLoadErrorObservable.clear();
+        this.onBudgetExceededObservable.clear();
     }
 }
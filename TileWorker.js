@@ -0,0 +1,290 @@
+import { parseGLB, writeGLB } from './GLTFUtils.js';
+import { parseRetryAfter } from './TileLoadError.js';
+import { prepareB3DM } from './B3DMDecoder.js';
+import { prepareI3DM } from './I3DMDecoder.js';
+import { preparePNTS } from './PNTSDecoder.js';
+import { prepareCMPT } from './CMPTDecoder.js';
+
+/**
+ * Worker of a {@link TileWorkerPool}: downloads tile content and prepares it off the main thread.
+ *
+ * Messages:
+ * - { type: 'init', meshoptDecoderUrl }: the url of the ES module build of the meshopt decoder, meshopt compressed
+ *   buffers are decoded in the worker when it is given
+ * - { type: 'fetch', id, url, format, buffer, raw }: downloads url, or prepares the given buffer. glb, b3dm, i3dm and
+ *   cmpt with meshopt compressed buffers are first rewritten with the decoded buffers. With the 'json' format, the
+ *   json is parsed and sent back as { id, json, byteLength }. With the 'b3dm', 'i3dm', 'pnts' and 'cmpt' formats, the
+ *   header, feature table and batch table are read by the prepare function of the decoder of the format, and the
+ *   result is sent back as { id, content, byteLength }, its typed arrays being transferred. Otherwise the data is
+ *   sent back as { id, buffer, byteLength }. The Cache-Control and Expires headers of the response are sent back as
+ *   cacheControl and expires. With raw, the data as downloaded is sent back as raw when it differs from buffer.
+ *   Errors are sent back as { id, error: { name, message, status, retryAfter, network } }, status being the HTTP
+ *   status of an error response and network true when the request failed without response.
+ * - { type: 'abort', id }: aborts a download
+ */
+
+const GLB_MAGIC = 'glTF';
+const MESHOPT = 'EXT_meshopt_compression';
+const PREPARE = {
+    b3dm: prepareB3DM,
+    i3dm: prepareI3DM,
+    pnts: preparePNTS,
+    cmpt: prepareCMPT,
+};
+const controllers = new Map();
+let meshoptDecoderUrl;
+let meshoptDecoder;
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type == 'init') {
+        meshoptDecoderUrl = message.meshoptDecoderUrl;
+    } else if (message.type == 'abort') {
+        const controller = controllers.get(message.id);
+        if (controller) controller.abort();
+    } else if (message.type == 'fetch') {
+        const controller = new AbortController();
+        controllers.set(message.id, controller);
+        load(message, controller.signal)
+            .then((result) => {
+                self.postMessage({ id: message.id, ...result }, getTransferables(result));
+            })
+            .catch((error) => {
+                self.postMessage({
+                    id: message.id,
+                    error: {
+                        name: error.name,
+                        message: error.message,
+                        status: error.status,
+                        retryAfter: error.retryAfter,
+                        network: error.network,
+                    },
+                });
+            })
+            .finally(() => {
+                controllers.delete(message.id);
+            });
+    }
+};
+
+function load(message, signal) {
+    const headers = {};
+    let request;
+    if (message.buffer) {
+        request = Promise.resolve(message.buffer);
+    } else {
+        request = fetch(message.url, { signal: signal }).then(
+            (result) => {
+                if (!result.ok) {
+                    const error = new Error(
+                        `couldn't load "${message.url}". Request failed with status ${result.status} : ${result.statusText}`
+                    );
+                    error.status = result.status;
+                    error.retryAfter = parseRetryAfter(result.headers.get('Retry-After'));
+                    throw error;
+                }
+                headers.cacheControl = result.headers.get('Cache-Control');
+                headers.expires = result.headers.get('Expires');
+                return result.arrayBuffer();
+            },
+            (error) => {
+                if (error.name !== 'AbortError') error.network = true;
+                throw error;
+            }
+        );
+    }
+    return request.then((buffer) => {
+        const byteLength = buffer.byteLength;
+        if (message.format == 'json') {
+            const json = JSON.parse(new TextDecoder().decode(buffer));
+            return { json: json, byteLength: byteLength, raw: message.raw ? buffer : undefined, ...headers };
+        }
+        return decodeMeshopt(buffer).then((decoded) => {
+            const result = {
+                byteLength: byteLength,
+                raw: message.raw && decoded !== buffer ? buffer : undefined,
+                ...headers,
+            };
+            const prepare = PREPARE[message.format];
+            if (prepare) {
+                result.content = prepare(decoded);
+                // the content only holds views of the data
+                if (message.raw) result.raw = buffer;
+            } else {
+                result.buffer = decoded;
+            }
+            return result;
+        });
+    });
+}
+
+/**
+ * Rewrites the glb of the content, or of its inner tiles, with meshopt compressed buffer views decoded.
+ * @returns {Promise<ArrayBuffer>} the rewritten content or the content itself when there is nothing to decode
+ */
+function decodeMeshopt(buffer) {
+    if (!meshoptDecoderUrl || buffer.byteLength < 12) return Promise.resolve(buffer);
+    const view = new DataView(buffer);
+    const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 4));
+    if (magic == GLB_MAGIC) {
+        return decodeGLB(new Uint8Array(buffer)).then((glb) => (glb ? glb.buffer : buffer));
+    }
+    if (magic == 'b3dm' || magic == 'i3dm') {
+        const headerLength = magic == 'b3dm' ? 28 : 32;
+        // legacy b3dm headers and i3dm referencing an external glTF are left as is
+        if (buffer.byteLength < headerLength || (magic == 'i3dm' && view.getUint32(28, true) == 0)) {
+            return Promise.resolve(buffer);
+        }
+        let glbOffset = headerLength;
+        for (let offset = 12; offset < 28; offset += 4) {
+            glbOffset += view.getUint32(offset, true);
+        }
+        if (glbOffset + 12 > buffer.byteLength || view.getUint32(glbOffset, true) !== 0x46546c67) {
+            return Promise.resolve(buffer);
+        }
+        return decodeGLB(new Uint8Array(buffer, glbOffset)).then((glb) => {
+            if (!glb) return buffer;
+            const result = new Uint8Array(glbOffset + glb.byteLength);
+            result.set(new Uint8Array(buffer, 0, glbOffset));
+            result.set(glb, glbOffset);
+            new DataView(result.buffer).setUint32(8, result.byteLength, true);
+            return result.buffer;
+        });
+    }
+    if (magic == 'cmpt') {
+        const tiles = [];
+        let offset = 16;
+        for (let i = 0; i < view.getUint32(12, true) && offset + 12 <= buffer.byteLength; i++) {
+            const tileByteLength = view.getUint32(offset + 8, true);
+            tiles.push(buffer.slice(offset, offset + tileByteLength));
+            offset += tileByteLength;
+        }
+        return Promise.all(tiles.map(decodeMeshopt)).then((decodedTiles) => {
+            const byteLength = decodedTiles.reduce((sum, tile) => sum + tile.byteLength, 16);
+            const result = new Uint8Array(byteLength);
+            result.set(new Uint8Array(buffer, 0, 16));
+            new DataView(result.buffer).setUint32(8, byteLength, true);
+            let tileOffset = 16;
+            decodedTiles.forEach((tile) => {
+                result.set(new Uint8Array(tile), tileOffset);
+                tileOffset += tile.byteLength;
+            });
+            return result.buffer;
+        });
+    }
+    return Promise.resolve(buffer);
+}
+
+/**
+ * @returns {Promise<Uint8Array|undefined>} the glb with the meshopt buffer views decoded into the binary chunk, undefined if it doesn't use meshopt
+ */
+function decodeGLB(data) {
+    const gltf = parseGLB(data);
+    const json = gltf.json;
+    const compressedViews = (json.bufferViews || []).filter(
+        (bufferView) => bufferView.extensions && bufferView.extensions[MESHOPT]
+    );
+    // the compressed data must be in the binary chunk
+    if (
+        compressedViews.length == 0 ||
+        !gltf.binary ||
+        compressedViews.some((bufferView) => bufferView.extensions[MESHOPT].buffer !== 0)
+    ) {
+        return Promise.resolve(undefined);
+    }
+    return getMeshoptDecoder().then((decoder) => {
+        const decodedViews = compressedViews.map((bufferView) => {
+            const extension = bufferView.extensions[MESHOPT];
+            const source = gltf.binary.subarray(
+                extension.byteOffset || 0,
+                (extension.byteOffset || 0) + extension.byteLength
+            );
+            const target = new Uint8Array(extension.count * extension.byteStride);
+            decoder.decodeGltfBuffer(
+                target,
+                extension.count,
+                extension.byteStride,
+                source,
+                extension.mode,
+                extension.filter || 'NONE'
+            );
+            return target;
+        });
+
+        // the decoded views are appended to the binary chunk, 4 bytes aligned
+        let length = align4(gltf.binary.byteLength);
+        const offsets = decodedViews.map((target) => {
+            const offset = length;
+            length = align4(offset + target.byteLength);
+            return offset;
+        });
+        const binary = new Uint8Array(length);
+        binary.set(gltf.binary);
+        compressedViews.forEach((bufferView, index) => {
+            binary.set(decodedViews[index], offsets[index]);
+            bufferView.buffer = 0;
+            bufferView.byteOffset = offsets[index];
+            bufferView.byteLength = decodedViews[index].byteLength;
+            delete bufferView.extensions[MESHOPT];
+            if (Object.keys(bufferView.extensions).length == 0) delete bufferView.extensions;
+        });
+        json.buffers[0].byteLength = binary.byteLength;
+        removeUnusedBuffers(json);
+        ['extensionsUsed', 'extensionsRequired'].forEach((name) => {
+            if (json[name]) json[name] = json[name].filter((extension) => extension != MESHOPT);
+        });
+        return writeGLB(json, binary);
+    });
+}
+
+/**
+ * Removes the buffers no buffer view references anymore, the fallback buffers of meshopt compressed views in
+ * particular: a loader could try to fetch their uri. The binary chunk stays the first buffer.
+ */
+function removeUnusedBuffers(json) {
+    const used = new Set(json.bufferViews.map((bufferView) => bufferView.buffer));
+    const kept = json.buffers.map((buffer, index) => index).filter((index) => index == 0 || used.has(index));
+    json.bufferViews.forEach((bufferView) => {
+        bufferView.buffer = kept.indexOf(bufferView.buffer);
+    });
+    json.buffers = kept.map((index) => json.buffers[index]);
+    json.buffers.forEach((buffer) => {
+        if (!buffer.extensions) return;
+        delete buffer.extensions[MESHOPT];
+        if (Object.keys(buffer.extensions).length == 0) delete buffer.extensions;
+    });
+}
+
+/**
+ * @returns {ArrayBuffer[]} the buffers of the data and of the typed arrays of the prepared content, without duplicates
+ */
+function getTransferables(result) {
+    const buffers = new Set();
+    const collect = (value) => {
+        if (value instanceof ArrayBuffer) {
+            buffers.add(value);
+        } else if (ArrayBuffer.isView(value)) {
+            buffers.add(value.buffer);
+        } else if (Array.isArray(value)) {
+            value.forEach(collect);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(collect);
+        }
+    };
+    collect([result.buffer, result.raw, result.content]);
+    return Array.from(buffers);
+}
+
+function getMeshoptDecoder() {
+    if (!meshoptDecoder) {
+        meshoptDecoder = import(meshoptDecoderUrl).then((module) => {
+            const decoder = module.MeshoptDecoder || module.default;
+            return decoder.ready.then(() => decoder);
+        });
+    }
+    return meshoptDecoder;
+}
+
+function align4(value) {
+    return (value + 3) & ~3;
+}
@@ -0,0 +1,132 @@
+/**
+ * A pool of {@link TileWorker} that download and prepare tile content off the main thread: json is parsed, meshopt
+ * compressed buffers are decoded, and the headers, feature tables, batch tables, points, instance transforms and glTF
+ * batch ids of b3dm, i3dm, pnts and cmpt tiles are read in the workers. The data is transferred back without copy.
+ *
+ * What creates babylon objects stays on the main thread: the glTF loader builds the meshes, materials and textures
+ * and decodes Draco in the babylon Draco workers, see the draco numWorkers option of {@link configureDecoders}.
+ *
+ * Requests are given to the workers in the order they are made, the pool doesn't change the priority chosen by the
+ * {@link TileLoader}. When all the workers are busy, requests wait in a first in first out queue.
+ */
+export class TileWorkerPool {
+    /**
+     * @param {Object} [options] - Optional configuration object.
+     * @param {number} [options.size=4] - the number of workers
+     * @param {string} [options.meshoptDecoderUrl] - the url of the ES module build of the meshopt decoder (meshopt_decoder.module.js), without it meshopt is decoded on the main thread by babylon
+     * @param {string} [options.workerUrl] - the url of TileWorker.js, by default next to this module
+     */
+    constructor(options = {}) {
+        const self = this;
+        this.size = options.size > 0 ? options.size : 4;
+        this.nextId = 0;
+        this.queue = [];
+        this.tasks = new Map();
+        this.idleWorkers = [];
+        this.workers = [];
+        const workerUrl = options.workerUrl || new URL('./TileWorker.js', import.meta.url);
+        for (let i = 0; i < this.size; i++) {
+            const worker = new Worker(workerUrl, { type: 'module' });
+            worker.postMessage({ type: 'init', meshoptDecoderUrl: options.meshoptDecoderUrl });
+            worker.onmessage = (event) => self.onWorkerMessage(worker, event.data);
+            this.workers.push(worker);
+            this.idleWorkers.push(worker);
+        }
+    }
+
+    /**
+     * Downloads and prepares content in a worker.
+     * @param {string} url - the url of the content
+     * @param {Object} [options] - Optional configuration object.
+     * @param {string} [options.format] - 'json' to parse the content as json, 'b3dm', 'i3dm', 'pnts' or 'cmpt' to prepare it for the decoder of the format, otherwise it is returned as an ArrayBuffer
+     * @param {AbortSignal} [options.signal] - aborts the request
+     * @param {ArrayBuffer} [options.buffer] - data to prepare rather than download, it is transferred to the worker
+     * @param {boolean} [options.raw] - also return the data as downloaded, when preparing it changed it
+     * @returns {Promise<{json: Object, content: Object, buffer: ArrayBuffer, byteLength: number, raw: ArrayBuffer, cacheControl: string, expires: string}>} the json, the prepared content or the data, the number of bytes, the data as downloaded and the Cache-Control and Expires headers of the response
+     */
+    request(url, options = {}) {
+        const self = this;
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: self.nextId++,
+                message: {
+                    type: 'fetch',
+                    url: url,
+                    format: options.format,
+                    buffer: options.buffer,
+                    raw: options.raw,
+                },
+                transfer: options.buffer ? [options.buffer] : [],
+                resolve: resolve,
+                reject: reject,
+            };
+            task.message.id = task.id;
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    reject(abortError());
+                    return;
+                }
+                options.signal.addEventListener('abort', () => self.abort(task));
+            }
+            self.queue.push(task);
+            self.next();
+        });
+    }
+
+    next() {
+        while (this.idleWorkers.length > 0 && this.queue.length > 0) {
+            const task = this.queue.shift();
+            task.worker = this.idleWorkers.pop();
+            this.tasks.set(task.id, task);
+            task.worker.postMessage(task.message, task.transfer);
+        }
+    }
+
+    abort(task) {
+        if (task.worker) {
+            // the worker answers with an AbortError
+            if (this.tasks.has(task.id)) task.worker.postMessage({ type: 'abort', id: task.id });
+        } else {
+            const index = this.queue.indexOf(task);
+            if (index >= 0) {
+                this.queue.splice(index, 1);
+                task.reject(abortError());
+            }
+        }
+    }
+
+    onWorkerMessage(worker, data) {
+        const task = this.tasks.get(data.id);
+        this.tasks.delete(data.id);
+        this.idleWorkers.push(worker);
+        if (task) {
+            if (data.error) {
+                const error = new Error(data.error.message);
+                error.name = data.error.name;
+                error.status = data.error.status;
+                error.retryAfter = data.error.retryAfter;
+                error.network = data.error.network;
+                task.reject(error);
+            } else {
+                task.resolve(data);
+            }
+        }
+        this.next();
+    }
+
+    dispose() {
+        this.workers.forEach((worker) => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+        this.tasks.forEach((task) => task.reject(abortError()));
+        this.tasks.clear();
+        this.queue.forEach((task) => task.reject(abortError()));
+        this.queue = [];
+    }
+}
+
+function abortError() {
+    const error = new Error('the request was aborted');
+    error.name = 'AbortError';
+    return error;
+}
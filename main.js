@@ -221,28 +221,6 @@ function cartesianToGeodetic(x, y, z) {
     return [lon, lat, alt];
 }
 
-function setIntervalAsync(fn, delay) {
-    let timeout;
-
-    const run = async () => {
-        const startTime = Date.now();
-        // try {
-        await fn();
-        // } catch (err) {
-        //     console.error(err);
-        // } finally {
-        const endTime = Date.now();
-        const elapsedTime = endTime - startTime;
-        const nextDelay = elapsedTime >= delay ? 0 : delay - elapsedTime;
-        timeout = setTimeout(run, nextDelay);
-        // }
-    };
-
-    timeout = setTimeout(run, delay);
-
-    return { clearInterval: () => clearTimeout(timeout) };
-}
-
 function setupTileService(engine, scene, camera, data) {
     // 3D tilemap
     var geoLatLongA = [data.latitude, data.longitude, data.altitude]; //[51.5007384424935, -0.1246262316907737, 300];//[48.85839143962933, 2.294390520081066, 300];//[55.84676946, -4.20752643, 20]; //[-33.865143, 151.209900, 100];//////[44.50210523178806, -88.06237983234793, 100]; //[40.74845, -73.98564, 100]; //[45, 45, 100];////
@@ -259,15 +237,7 @@ function setupTileService(engine, scene, camera, data) {
     var orgin = new BABYLON.Vector3(-geoXYZ[0], -geoXYZ[2], geoXYZ[1]);
     tileMapNode.position = orgin;
 
-    const ogc3DTile = initTileset(engine, scene, camera, tileMapNode, data.key);
-    const IsSyncMap = true;
-
-    setIntervalAsync(function () {
-        // update tile map
-        if (IsSyncMap) {
-            ogc3DTile.update(camera);
-        }
-    }, 10);
+    initTileset(engine, scene, camera, tileMapNode, data.key);
 }
 
 function initTileset(engine, scene, camera, tileMapNode, apikey) {
@@ -289,6 +259,7 @@ function initTileset(engine, scene, camera, tileMapNode, apikey) {
         url: 'https://tile.googleapis.com/v1/3dtiles/root.json',
         queryParams: { key: apikey },
         yUp: true, // this value is normally true by default
+        google: true,
 
         geometricErrorMultiplier: 0.5,
         loadOutsideView: false,
@@ -299,23 +270,19 @@ function initTileset(engine, scene, camera, tileMapNode, apikey) {
         scene: scene,
         renderer: engine,
         cameraOnload: camera,
+        // the tileset is updated from the camera before every frame
+        autoUpdate: camera,
         rootNode: tileMapNode,
         // renderer: renderer,
         //yUp:false,
-        //displayErrors: true,
-        //displayCopyright: true,
+        // the credits Google requires, at the bottom left of the screen
+        displayAttributions: true,
         onLoadCallback: (e) => {
             console.log(e);
         },
     });
 
     ogc3DTile.parent = tileMapNode;
-    // setIntervalAsync(function () {
-    //     // update tile map
-    //         if (IsSyncMap){
-    //             ogc3DTile.update(camera);
-    //         }
-    // }, 10);
 
     return ogc3DTile;
 }